@@ -0,0 +1,409 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { getBoopCounter } from "./boop-counter";
+import { getHub, getHubName, getHubNames } from "./hub";
+import { CONFIG_RANGES, DEFAULT_CONFIG, getConfig, saveConfig } from "./config";
+import { addIpBan, getIpBans, removeIpBan } from "./ip-bans";
+import { withStore } from "./store";
+import { getClientId, getClientIdRotationPeriod, isValidBPHEntry, parseIp } from "./utils";
+import { isObject } from "../shared/utils";
+import {
+    BPH_VALID_UNTIL,
+    BPH_CHANGE,
+    ADMIN_PATH_PREFIX,
+    ADMIN_MAX_BAN_DURATION,
+    ADMIN_AUDIT_LOG_LIMIT,
+    ADMIN_TOP_BOOPERS_LIMIT,
+    ADMIN_MAX_LIST_LIMIT
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+/** @typedef {import('./boop-counter').AuditEntry} AuditEntry */
+
+/**
+ * An error answered with its status and message.
+ */
+class AdminError extends Error {
+    /**
+     * Creates an admin error.
+     *
+     * @param {number} status The HTTP status.
+     * @param {string} message The error message, sent to the admin.
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+/**
+ * Checks the bearer secret of an admin request, in constant time.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @returns {Promise<boolean>} A promise that resolves to whether the request is authorized.
+ */
+async function isAuthorized(env, request) {
+    const match = request.headers.get('Authorization')?.match(/^Bearer (.+)$/);
+    if (!env.ADMIN_SECRET || !match) {
+        return false;
+    }
+    const encoder = new TextEncoder();
+    // Hash both sides so that they have the same length
+    const [given, expected] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(match[1])),
+        crypto.subtle.digest('SHA-256', encoder.encode(env.ADMIN_SECRET))
+    ]);
+    return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+/**
+ * Reads the JSON object body of an admin request.
+ *
+ * @param {Request} request The incoming request.
+ * @returns {Promise<Record<string, unknown>>} A promise that resolves to the body, empty if there is none.
+ */
+async function readBody(request) {
+    const text = await request.text();
+    if (text === '') {
+        return {};
+    }
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (err) {
+        throw new AdminError(400, 'Invalid JSON body');
+    }
+    if (!isObject(body)) {
+        throw new AdminError(400, 'Expected a JSON object body');
+    }
+    return /** @type {Record<string, unknown>} */ (body);
+}
+
+/**
+ * Reads the optional reason of an admin action.
+ *
+ * @param {Record<string, unknown>} body The request body.
+ * @param {boolean} [required=false] Whether the reason is required.
+ * @returns {string | undefined} The reason.
+ */
+function readReason(body, required = false) {
+    const reason = body.reason;
+    if (reason === undefined && !required) {
+        return undefined;
+    }
+    if (typeof reason !== 'string' || reason.trim() === '' || reason.length > 500) {
+        throw new AdminError(400, 'Expected a non-empty reason of at most 500 characters');
+    }
+    return reason.trim();
+}
+
+/**
+ * Reads a ban duration.
+ *
+ * @param {unknown} duration The duration in milliseconds.
+ * @param {number} [maxDuration] The longest duration allowed.
+ * @returns {number} The duration.
+ */
+function readBanDuration(duration, maxDuration = ADMIN_MAX_BAN_DURATION) {
+    if (typeof duration !== 'number' || !Number.isSafeInteger(duration) || duration <= 0 || duration > maxDuration) {
+        throw new AdminError(400, `Expected a duration in milliseconds between 1 and ${maxDuration}`);
+    }
+    return duration;
+}
+
+/**
+ * Reads the duration of a client ban, which cannot outlast the client ID rotation period.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {unknown} duration The duration in milliseconds.
+ * @returns {number} The duration.
+ */
+function readClientBanDuration(env, duration) {
+    const rotationPeriod = getClientIdRotationPeriod(env);
+    if (rotationPeriod > 0 && rotationPeriod < ADMIN_MAX_BAN_DURATION && typeof duration === 'number' && duration > rotationPeriod) {
+        throw new AdminError(400, `Client IDs rotate every ${rotationPeriod} ms, which ends their bans, use an IP range ban for longer bans`);
+    }
+    return readBanDuration(duration);
+}
+
+/**
+ * Reads a list limit from the query string.
+ *
+ * @param {URL} url The request URL.
+ * @param {number} defaultLimit The limit when none is given.
+ * @returns {number} The limit.
+ */
+function readLimit(url, defaultLimit) {
+    const limit = url.searchParams.get('limit');
+    if (limit == null) {
+        return defaultLimit;
+    }
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > ADMIN_MAX_LIST_LIMIT) {
+        throw new AdminError(400, `Expected a limit between 1 and ${ADMIN_MAX_LIST_LIMIT}`);
+    }
+    return value;
+}
+
+/**
+ * Appends an entry to the audit log, kept by the boop counter.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Omit<AuditEntry, 'at'>} entry The entry.
+ * @returns {Promise<void>}
+ */
+function audit(env, entry) {
+    return getBoopCounter(env).audit({ at: Date.now(), ...entry });
+}
+
+/**
+ * Lists the clients with the most boops in the last hour, from their Boops per Hour (BPH) entries.
+ * Boops not synced yet by the hubs are not included.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {number} limit The maximum number of clients.
+ * @returns {Promise<Array<{ id: string, hub: string, boops: number }>>} The clients, most boops first.
+ */
+function getTopBoopers(env, limit) {
+    return withStore(env, async (store) => {
+        const bphRoot = await store.getAllBPH();
+        const now = Date.now();
+        const boopers = [];
+        for (const [id, entries] of Object.entries(bphRoot)) {
+            if (!isObject(entries)) {
+                continue;
+            }
+            let boops = 0;
+            for (const entry of Object.values(/** @type {Record<string, unknown>} */(entries))) {
+                if (isValidBPHEntry(entry) && entry[BPH_VALID_UNTIL] > now) {
+                    boops += entry[BPH_CHANGE];
+                }
+            }
+            if (boops > 0) {
+                boopers.push({ id, hub: getHubName(id), boops });
+            }
+        }
+        boopers.sort((a, b) => b.boops - a.boops);
+        return boopers.slice(0, limit);
+    });
+}
+
+/**
+ * Gets the live state of the service: the Global Boops Count (GBC), the connections of every hub
+ * and the active bans of their clients.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {Promise<unknown>} A promise that resolves to the overview.
+ */
+async function getOverview(env) {
+    const names = getHubNames();
+    const [{ count, updatedAt }, statuses] = await Promise.all([
+        getBoopCounter(env).getCount(),
+        Promise.all(names.map((name) => getHub(env, name).getStatus()))
+    ]);
+    const hubs = names.map((name, i) => ({ name, connections: statuses[i].connections, clients: statuses[i].clients }));
+    const bans = names.flatMap((hub, i) => statuses[i].bans.map((ban) => ({ hub, ...ban })));
+    bans.sort((a, b) => b.bannedAt - a.bannedAt);
+    return {
+        now: Date.now(),
+        count,
+        updatedAt,
+        connections: hubs.reduce((sum, hub) => sum + hub.connections, 0),
+        clients: hubs.reduce((sum, hub) => sum + hub.clients, 0),
+        hubs,
+        bans
+    };
+}
+
+/**
+ * Handles a request to a client route (`/admin/clients/<id>[/<action>]`).
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @param {string} id The client ID.
+ * @param {string | undefined} action The action.
+ * @returns {Promise<unknown>} A promise that resolves to the response data.
+ */
+async function handleClientRequest(env, request, id, action) {
+    const hubName = getHubName(id);
+    const hub = getHub(env, hubName);
+    const route = `${request.method} ${action ?? ''}`;
+    switch (route) {
+        case 'GET ':
+            return { id, hub: hubName, ...await hub.inspect(id) };
+        case 'POST reset': {
+            const reason = readReason(await readBody(request));
+            await hub.reset(id);
+            await audit(env, { action: 'client.reset', target: id, reason });
+            return { id, reset: true };
+        }
+        case 'PUT ban': {
+            const body = await readBody(request);
+            const duration = readClientBanDuration(env, body.duration);
+            const reason = readReason(body);
+            const bannedUntil = await hub.ban(id, duration);
+            await audit(env, { action: 'client.ban', target: id, reason, details: { duration, bannedUntil } });
+            return { id, bannedUntil };
+        }
+        case 'DELETE ban': {
+            const reason = readReason(await readBody(request));
+            const unbanned = await hub.unban(id);
+            await audit(env, { action: 'client.unban', target: id, reason, details: { unbanned } });
+            return { id, unbanned };
+        }
+    }
+    throw new AdminError(404, 'Not Found');
+}
+
+/**
+ * Routes an authorized admin request.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @param {URL} url The request URL.
+ * @returns {Promise<unknown>} A promise that resolves to the response data.
+ */
+async function routeAdminRequest(env, request, url) {
+    const [resource, id, action, ...rest] = url.pathname.slice(ADMIN_PATH_PREFIX.length).split('/').map(decodeURIComponent);
+    if (rest.length > 0) {
+        throw new AdminError(404, 'Not Found');
+    }
+
+    if (resource === 'clients' && id) {
+        return handleClientRequest(env, request, id, action);
+    }
+    if (id) {
+        throw new AdminError(404, 'Not Found');
+    }
+
+    switch (`${request.method} ${resource}`) {
+        case 'GET overview':
+            return getOverview(env);
+        case 'GET config':
+            return { config: await getConfig(env), defaults: DEFAULT_CONFIG, ranges: CONFIG_RANGES };
+        case 'PUT config': {
+            const body = await readBody(request);
+            if (!isObject(body.config)) {
+                throw new AdminError(400, 'Expected a config object');
+            }
+            const doc = /** @type {Record<string, unknown>} */ (body.config);
+            const reason = readReason(body);
+            try {
+                const config = await saveConfig(env, doc);
+                await audit(env, { action: 'config.update', reason, details: { config: doc } });
+                return { config };
+            } catch (err) {
+                if (err instanceof RangeError) {
+                    throw new AdminError(400, err.message);
+                }
+                throw err;
+            }
+        }
+        case 'GET client-id': {
+            const ip = url.searchParams.get('ip');
+            if (!ip || !parseIp(ip)) {
+                throw new AdminError(400, 'Expected a valid ip parameter');
+            }
+            const clientId = await getClientId(env, ip);
+            return { ip, id: clientId, hub: getHubName(clientId) };
+        }
+        case 'GET ip-bans':
+            return { bans: await getIpBans(env) };
+        case 'PUT ip-bans': {
+            const body = await readBody(request);
+            const range = body.range;
+            if (typeof range !== 'string' || !parseIp(range)) {
+                throw new AdminError(400, 'Expected a range in CIDR notation, or an IP address');
+            }
+            const duration = readBanDuration(body.duration);
+            const reason = readReason(body);
+            const now = Date.now();
+            /** @type {import('./ip-bans').IpBan} */
+            const ban = { range, bannedAt: now, bannedUntil: now + duration, reason };
+            await addIpBan(env, ban);
+            await audit(env, { action: 'ip.ban', target: range, reason, details: { duration, bannedUntil: ban.bannedUntil } });
+            return { ban };
+        }
+        case 'DELETE ip-bans': {
+            const range = url.searchParams.get('range');
+            if (!range || !parseIp(range)) {
+                throw new AdminError(400, 'Expected a valid range parameter');
+            }
+            const reason = readReason(await readBody(request));
+            const unbanned = await removeIpBan(env, range);
+            await audit(env, { action: 'ip.unban', target: range, reason, details: { unbanned } });
+            return { range, unbanned };
+        }
+        case 'POST count': {
+            const body = await readBody(request);
+            const delta = body.delta;
+            if (typeof delta !== 'number' || !Number.isSafeInteger(delta) || delta === 0) {
+                throw new AdminError(400, 'Expected a non-zero integer delta');
+            }
+            const reason = readReason(body, true);
+            try {
+                const count = await getBoopCounter(env).adjust(delta, { at: Date.now(), action: 'count.adjust', reason });
+                return { count };
+            } catch (err) {
+                if (err instanceof RangeError) {
+                    throw new AdminError(400, 'The count cannot go below zero');
+                }
+                throw err;
+            }
+        }
+        case 'GET audit':
+            return { entries: await getBoopCounter(env).getAuditLog(readLimit(url, ADMIN_AUDIT_LOG_LIMIT)) };
+        case 'GET top':
+            return { boopers: await getTopBoopers(env, readLimit(url, ADMIN_TOP_BOOPERS_LIMIT)) };
+    }
+    throw new AdminError(404, 'Not Found');
+}
+
+/**
+ * Handles requests to the admin API (`/admin/*`).
+ *
+ * Every request must carry the `ADMIN_SECRET` as a bearer token. Changes are recorded in the
+ * audit log. The API is served without CORS headers, so only same-origin pages can use it.
+ *
+ * - `GET /admin/overview` gets the boop count, the connections of every hub and the active client bans.
+ * - `GET /admin/config` gets the runtime config with its defaults and ranges, `PUT` (`{ config, reason? }`) replaces it.
+ * - `GET /admin/client-id?ip=<ip>` gets the client ID and hub of an IP address.
+ * - `GET /admin/clients/<id>` gets the BPH entries, cooldown, limiters and penalty of a client.
+ * - `POST /admin/clients/<id>/reset` resets the quota of a client.
+ * - `PUT /admin/clients/<id>/ban` (`{ duration, reason? }`) bans a client for up to the client ID rotation period, `DELETE` lifts the ban.
+ * - `GET /admin/ip-bans` lists the IP range bans.
+ * - `PUT /admin/ip-bans` (`{ range, duration, reason? }`) bans an IP range, `DELETE /admin/ip-bans?range=<range>` lifts it.
+ * - `POST /admin/count` (`{ delta, reason }`) adjusts the Global Boops Count (GBC).
+ * - `GET /admin/audit?limit=<n>` gets the latest audit log entries.
+ * - `GET /admin/top?limit=<n>` lists the top boopers of the last hour.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @returns {Promise<Response>} The response to be sent back to the client.
+ */
+async function handleAdminRequest(env, request) {
+    const headers = { 'Cache-Control': 'no-store' };
+    if (!await isAuthorized(env, request)) {
+        return Response.json({ error: 'Unauthorized' }, {
+            status: 401,
+            headers: { ...headers, 'WWW-Authenticate': 'Bearer realm="admin"' }
+        });
+    }
+    try {
+        const data = await routeAdminRequest(env, request, new URL(request.url));
+        return Response.json(data, { headers });
+    } catch (err) {
+        if (err instanceof AdminError) {
+            return Response.json({ error: err.message }, { status: err.status, headers });
+        }
+        if (err instanceof URIError) {
+            return Response.json({ error: 'Invalid path' }, { status: 400, headers });
+        }
+        console.error(`Admin request ${request.method} ${new URL(request.url).pathname} failed:`, err);
+        return Response.json({ error: 'Internal Server Error' }, { status: 500, headers });
+    }
+}
+
+export { handleAdminRequest };
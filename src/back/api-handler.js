@@ -0,0 +1,263 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { getClientId, getClientIp } from "./utils";
+import { getBoopCounter } from "./boop-counter";
+import { getHub, getHubName } from "./hub";
+import { findIpBan } from "./ip-bans";
+import {
+    ONE_SECOND,
+    API_COUNT_MAX_AGE_S
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+
+/** @typedef {import('./boop-counter').BoopCountData} BoopCountData */
+
+/**
+ * Adds the CORS headers to a response.
+ *
+ * @param {Response} response The response to add the headers to.
+ * @param {string} methods The comma separated list of allowed methods.
+ * @returns {Response} The response with the CORS headers set.
+ */
+function withCors(response, methods) {
+    response.headers.set('Access-Control-Allow-Origin', '*');
+    response.headers.set('Access-Control-Allow-Methods', methods);
+    response.headers.set('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    response.headers.set('Access-Control-Expose-Headers', 'ETag, Last-Modified, Retry-After, RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
+    response.headers.set('Access-Control-Max-Age', '86400');
+    return response;
+}
+
+/**
+ * Builds the rate limit headers for a boop response.
+ *
+ * Follows the IETF `RateLimit` header fields draft, listing every limiter of the policy
+ * and reporting whichever is closest to being hit.
+ *
+ * @param {number} now The current timestamp.
+ * @param {import("./rate-limit").LimiterStatus[]} limiters The status of every limiter, empty if they were not checked.
+ * @param {number} cooldownUntil The cooldown until timestamp, or 0 if not in cooldown.
+ * @returns {Headers} The rate limit headers.
+ */
+function getRateLimitHeaders(now, limiters, cooldownUntil) {
+    if (limiters.length === 0) {
+        // Boops rejected by a challenge are not checked against the limiters
+        return new Headers();
+    }
+    let closest = limiters[0];
+    for (const status of limiters) {
+        if (status.remaining < closest.remaining) {
+            closest = status;
+        }
+    }
+    let remaining = closest.remaining;
+    let reset = closest.remaining === 0 ? closest.retryAt - now : closest.resetAt - now;
+    if (cooldownUntil !== 0) {
+        remaining = 0;
+        reset = cooldownUntil - now;
+    }
+
+    return new Headers({
+        'RateLimit-Policy': limiters.map((status) => `${status.limit};w=${Math.ceil(status.window / ONE_SECOND)}`).join(', '),
+        'RateLimit-Limit': `${closest.limit}`,
+        'RateLimit-Remaining': `${remaining}`,
+        'RateLimit-Reset': `${Math.max(0, Math.ceil(reset / ONE_SECOND))}`
+    });
+}
+
+/**
+ * Reports the status of every limiter, with times relative to now in milliseconds.
+ *
+ * @param {number} now The current timestamp.
+ * @param {import("./rate-limit").LimiterStatus[]} limiters The status of every limiter.
+ * @returns {Array<{ name: string, limit: number, window: number, remaining: number, retryAfter: number, reset: number }>} The report.
+ */
+function getLimitsReport(now, limiters) {
+    return limiters.map((status) => ({
+        name: status.name,
+        limit: status.limit,
+        window: status.window,
+        remaining: status.remaining,
+        retryAfter: Math.max(0, status.retryAt - now),
+        reset: Math.max(0, status.resetAt - now)
+    }));
+}
+
+/**
+ * Builds the response to a boop of a banned client.
+ *
+ * @param {number} now The current timestamp.
+ * @param {number} bannedUntil The ban expiry.
+ * @returns {Response} The response.
+ */
+function getBannedResponse(now, bannedUntil) {
+    const headers = new Headers({ 'Retry-After': `${Math.ceil((bannedUntil - now) / ONE_SECOND)}` });
+    return Response.json({ error: 'Forbidden', bannedUntil }, { status: 403, headers });
+}
+
+/**
+ * Handles requests to the boop endpoint (`/api/boop`).
+ *
+ * Boops through the hub of the client, so the Boops per Hour (BPH) and Boops per Minute (BPM)
+ * limits are shared with the WebSocket connections of the client. Banned clients get a 403 with
+ * the ban expiry, and challenged clients get the challenge with the 429.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @returns {Promise<Response>} The response to be sent back to the client.
+ */
+async function handleBoopRequest(env, request) {
+    const methods = 'POST, OPTIONS';
+    if (request.method === 'OPTIONS') {
+        return withCors(new Response(null, { status: 204 }), methods);
+    }
+    if (request.method !== 'POST') {
+        return withCors(new Response(null, { status: 405, headers: { 'Allow': methods } }), methods);
+    }
+
+    const ip = getClientIp(request) || 'default';
+    if (ip === 'default') {
+        console.warn(`No IP address found in request headers, using 'default' as fallback.`);
+    }
+
+    try {
+        const ipBan = await findIpBan(env, ip);
+        if (ipBan) {
+            return withCors(getBannedResponse(Date.now(), ipBan.bannedUntil), methods);
+        }
+        const id = await getClientId(env, ip);
+        const hubName = getHubName(id);
+        const { now, cooldownUntil, bannedUntil, limiter, limiters, challenge, count } = await getHub(env, hubName).boop(id, hubName);
+        if (bannedUntil !== 0) {
+            return withCors(getBannedResponse(now, bannedUntil), methods);
+        }
+        const limits = getLimitsReport(now, limiters);
+        if (cooldownUntil !== 0) {
+            const cooldown = cooldownUntil - now;
+            const headers = getRateLimitHeaders(now, limiters, cooldownUntil);
+            headers.set('Retry-After', `${Math.ceil(cooldown / ONE_SECOND)}`);
+            // Challenged clients send the solution to the challenge endpoint
+            const pow = challenge ? { seed: challenge.seed, difficulty: challenge.difficulty } : undefined;
+            return withCors(Response.json({ error: 'Too Many Requests', cooldown, limiter, limits, challenge: pow }, { status: 429, headers }), methods);
+        }
+        return withCors(Response.json({ count, limits }, { headers: getRateLimitHeaders(now, limiters, 0) }), methods);
+    } catch (err) {
+        console.error(`Failed to boop:`, err);
+        return withCors(Response.json({ error: 'Boop failed' }, { status: 503 }), methods);
+    }
+}
+
+/**
+ * Handles requests to the challenge endpoint (`/api/challenge`).
+ *
+ * Takes the solution to the proof of work challenge sent with a 429 by the boop endpoint, as a JSON
+ * body with the challenge `seed` and the solution `counter`. Answers 204 if the solution is valid.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Request} request The incoming request.
+ * @returns {Promise<Response>} The response to be sent back to the client.
+ */
+async function handleChallengeRequest(env, request) {
+    const methods = 'POST, OPTIONS';
+    if (request.method === 'OPTIONS') {
+        return withCors(new Response(null, { status: 204 }), methods);
+    }
+    if (request.method !== 'POST') {
+        return withCors(new Response(null, { status: 405, headers: { 'Allow': methods } }), methods);
+    }
+
+    const data = await request.json().catch(() => null);
+    if (data == null || typeof data !== 'object' || typeof data.seed !== 'string' || !/^[\da-f]{32}$/.test(data.seed) ||
+        !Number.isSafeInteger(data.counter) || data.counter < 0) {
+        return withCors(Response.json({ error: 'Bad Request' }, { status: 400 }), methods);
+    }
+
+    const ip = getClientIp(request) || 'default';
+    try {
+        const id = await getClientId(env, ip);
+        if (!await getHub(env, getHubName(id)).solveChallenge(id, data.seed, data.counter)) {
+            return withCors(Response.json({ error: 'Invalid solution' }, { status: 400 }), methods);
+        }
+        return withCors(new Response(null, { status: 204 }), methods);
+    } catch (err) {
+        console.error(`Failed to solve the challenge:`, err);
+        return withCors(Response.json({ error: 'Challenge failed' }, { status: 503 }), methods);
+    }
+}
+
+/**
+ * Handles requests to the boop count endpoint (`/api/count`).
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {ExecutionContext} ctx The execution context of the request.
+ * @param {Request} request The incoming request.
+ * @returns {Promise<Response>} The response to be sent back to the client.
+ */
+async function handleCountRequest(env, ctx, request) {
+    const methods = 'GET, HEAD, OPTIONS';
+    if (request.method === 'OPTIONS') {
+        return withCors(new Response(null, { status: 204 }), methods);
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return withCors(new Response(null, { status: 405, headers: { 'Allow': methods } }), methods);
+    }
+
+    const url = new URL(request.url);
+    const cacheKey = new Request(`${url.origin}/api/count`);
+    const cache = caches.default;
+
+    /** @type {BoopCountData | null} */
+    let data = null;
+    const cacheResp = await cache.match(cacheKey).catch((err) => {
+        console.error(`Boop count cache match error:`, err);
+        return null;
+    });
+    if (cacheResp) {
+        data = await cacheResp.json().catch((err) => {
+            console.error(`Boop count cache JSON parse error:`, err);
+            return null;
+        });
+    }
+
+    if (!data) {
+        try {
+            data = await getBoopCounter(env).getCount();
+        } catch (err) {
+            console.error(`Failed to read the boop count:`, err);
+            return withCors(Response.json({ error: 'Boop count unavailable' }, {
+                status: 503,
+                headers: { 'Retry-After': `${API_COUNT_MAX_AGE_S}` }
+            }), methods);
+        }
+        ctx.waitUntil(cache.put(cacheKey, Response.json(data, {
+            headers: { 'Cache-Control': `public, max-age=${API_COUNT_MAX_AGE_S}` }
+        })).catch((err) => {
+            console.error(`Boop count cache put error:`, err);
+        }));
+    }
+
+    const headers = new Headers({
+        'Cache-Control': `public, max-age=${API_COUNT_MAX_AGE_S}`,
+        'ETag': `"${data.count.toString(36)}"`,
+        'Last-Modified': new Date(data.updatedAt).toUTCString()
+    });
+
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === headers.get('ETag'))) {
+        return withCors(new Response(null, { status: 304, headers }), methods);
+    }
+
+    const response = Response.json(data, { headers });
+    if (request.method === 'HEAD') {
+        return withCors(new Response(null, { headers: response.headers }), methods);
+    }
+    return withCors(response, methods);
+}
+
+export {
+    withCors,
+    handleCountRequest,
+    handleBoopRequest,
+    handleChallengeRequest
+};
@@ -0,0 +1,469 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { DurableObject } from "cloudflare:workers";
+import { createStore } from "./store";
+import { PROTO_BOOP_COUNT } from "../shared/protocol";
+import {
+    ONE_SECOND,
+    GBC_FLUSH_INTERVAL,
+    GBC_BROADCAST_INTERVAL,
+    BOOP_COUNTER_NAME,
+    COUNTER_AUDIT_KEY_PREFIX
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+
+/**
+ * @typedef {Object} BoopCountData
+ * @property {number} count The Global Boops Count (GBC).
+ * @property {number} updatedAt The time the count last changed, in milliseconds since epoch.
+ */
+
+/**
+ * An entry of the admin audit log.
+ * @typedef {Object} AuditEntry
+ * @property {number} at The time of the action.
+ * @property {string} action The action, e.g. `count.adjust` or `client.ban`.
+ * @property {string} [target] The client ID or IP range the action applies to.
+ * @property {string} [reason] The reason given by the admin.
+ * @property {Record<string, unknown>} [details] The parameters and outcome of the action.
+ */
+
+/**
+ * Durable Object that owns the live Global Boops Count (GBC).
+ *
+ * Connections subscribe through a receive-only WebSocket (see {@link subscribeToBoopCounter}) to get
+ * the count updates, and send their boop deltas through the `add` RPC. WebSocket hubs subscribe by
+ * name instead and get the updates pushed over RPC, so they can hibernate in between. The count is flushed to the
+ * store on an alarm, so the store traffic does not grow with the number of connections.
+ */
+class BoopCounter extends DurableObject {
+    /**
+     * The live Global Boops Count (GBC), including the unflushed boops.
+     * @type {number}
+     */
+    #count = 0;
+
+    /**
+     * The boops not yet flushed to the store.
+     * @type {number}
+     */
+    #pending = 0;
+
+    /**
+     * The time the count last changed.
+     * @type {number}
+     */
+    #updatedAt = 0;
+
+    /**
+     * Store instance name, also used as the log prefix.
+     * @type {string}
+     */
+    #appName = `WM-counter-${crypto.randomUUID()}`;
+
+    /**
+     * The promise that resolves to the initialized store.
+     * @type {Promise<import("./boop-store").BoopStore> | null}
+     */
+    #storePromise = null;
+
+    /**
+     * Whether the flush alarm is known to be scheduled.
+     * @type {boolean}
+     */
+    #alarmScheduled = false;
+
+    /**
+     * The broadcast timeout.
+     * @type {NodeJS.Timeout | number | null}
+     */
+    #broadcastTimeout = null;
+
+    /**
+     * The last broadcast count.
+     * @type {number}
+     */
+    #lastBroadcast = -1;
+
+    /**
+     * The names of the subscribed WebSocket hubs.
+     * @type {Set<string>}
+     */
+    #hubs = new Set();
+
+    /**
+     * Creates the boop counter.
+     *
+     * @param {DurableObjectState} ctx The Durable Object state.
+     * @param {Env} env The environment variables and bindings.
+     */
+    constructor(ctx, env) {
+        super(ctx, env);
+        ctx.blockConcurrencyWhile(async () => {
+            const stored = await ctx.storage.get(['count', 'pending', 'updatedAt', 'hubs']);
+            this.#hubs = new Set(/** @type {string[] | undefined} */(stored.get('hubs')) ?? []);
+            const count = stored.get('count');
+            if (typeof count === 'number') {
+                this.#count = count;
+                this.#pending = /** @type {number | undefined} */ (stored.get('pending')) ?? 0;
+                this.#updatedAt = /** @type {number | undefined} */ (stored.get('updatedAt')) ?? Date.now();
+                return;
+            }
+            // First run, seed the count from the store
+            const store = await this.#getStore();
+            this.#count = await store.getCount();
+            this.#updatedAt = Date.now();
+            await this.#persist();
+        });
+    }
+
+    /**
+     * @override
+     * Accepts subscriber WebSockets.
+     *
+     * @param {Request} request The incoming request.
+     * @returns {Promise<Response>} The response to be sent back.
+     */
+    async fetch(request) {
+        if (request.headers.get("Upgrade") !== "websocket") {
+            return new Response("Expected WebSocket Upgrade", { status: 426 });
+        }
+        const pair = new WebSocketPair();
+        this.ctx.acceptWebSocket(pair[1]);
+        pair[1].send(PROTO_BOOP_COUNT + this.#count.toString(36));
+        await this.#ensureAlarm();
+        return new Response(null, { status: 101, webSocket: pair[0] });
+    }
+
+    /**
+     * Adds boops to the count.
+     *
+     * @param {number} delta The number of boops to add.
+     * @returns {Promise<number>} The new count.
+     */
+    async add(delta) {
+        this.#add(delta);
+        await this.#ensureAlarm();
+        return this.#count;
+    }
+
+    /**
+     * Adjusts the count by an admin, recording the adjustment in the audit log.
+     *
+     * @param {number} delta The number of boops to add, negative to remove boops.
+     * @param {AuditEntry} entry The audit log entry.
+     * @returns {Promise<number>} The new count.
+     */
+    async adjust(delta, entry) {
+        if (!Number.isSafeInteger(delta) || delta === 0 || this.#count + delta < 0) {
+            throw new RangeError(`Invalid count adjustment: ${delta}`);
+        }
+        await this.audit({ ...entry, details: { ...entry.details, delta, count: this.#count + delta } });
+        this.#apply(delta);
+        await this.#ensureAlarm();
+        return this.#count;
+    }
+
+    /**
+     * Appends an entry to the admin audit log.
+     *
+     * @param {AuditEntry} entry The entry.
+     * @returns {Promise<void>}
+     */
+    async audit(entry) {
+        // Zero-padded so that the keys sort chronologically
+        const key = `${COUNTER_AUDIT_KEY_PREFIX}${entry.at.toString().padStart(15, '0')}:${crypto.randomUUID()}`;
+        await this.ctx.storage.put(key, entry);
+        console.info(`[${this.#appName}] Audit:`, entry);
+    }
+
+    /**
+     * Gets the latest entries of the admin audit log.
+     *
+     * @param {number} limit The maximum number of entries.
+     * @returns {Promise<AuditEntry[]>} The entries, newest first.
+     */
+    async getAuditLog(limit) {
+        const entries = await this.ctx.storage.list({ prefix: COUNTER_AUDIT_KEY_PREFIX, reverse: true, limit });
+        return /** @type {AuditEntry[]} */ ([...entries.values()]);
+    }
+
+    /**
+     * Subscribes a WebSocket hub to count updates, see {@link import('./hub').WellMaresHub#setCount}.
+     *
+     * @param {string} name The hub name.
+     * @returns {Promise<number>} The current count.
+     */
+    async subscribeHub(name) {
+        if (!this.#hubs.has(name)) {
+            this.#hubs.add(name);
+            await this.ctx.storage.put('hubs', [...this.#hubs]);
+        }
+        await this.#ensureAlarm();
+        return this.#count;
+    }
+
+    /**
+     * Unsubscribes a WebSocket hub from count updates.
+     *
+     * @param {string} name The hub name.
+     * @returns {Promise<void>}
+     */
+    async unsubscribeHub(name) {
+        if (this.#hubs.delete(name)) {
+            await this.ctx.storage.put('hubs', [...this.#hubs]);
+        }
+    }
+
+    /**
+     * Gets the live count.
+     *
+     * @returns {BoopCountData} The boop count data.
+     */
+    getCount() {
+        return { count: this.#count, updatedAt: this.#updatedAt };
+    }
+
+    /**
+     * @override
+     * Handles messages from subscribers, which only receive counts; hubs add boops through {@link BoopCounter#add}.
+     *
+     * @param {WebSocket} ws The subscriber WebSocket.
+     * @param {string | ArrayBuffer} message The message.
+     * @returns {void}
+     */
+    webSocketMessage(ws, message) {
+        console.warn(`[${this.#appName}] Received invalid data from subscriber:`, { message });
+    }
+
+    /**
+     * @override
+     * Completes the closing handshake of subscribers.
+     *
+     * @param {WebSocket} ws The subscriber WebSocket.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @returns {void}
+     */
+    webSocketClose(ws, code, reason) {
+        try {
+            ws.close(code, reason);
+        } catch (e) {
+            // Already closed
+        }
+    }
+
+    /**
+     * @override
+     * Flushes the pending boops to the store and picks up changes made by others.
+     *
+     * @returns {Promise<void>}
+     */
+    async alarm() {
+        this.#alarmScheduled = false;
+        const store = await this.#getStore();
+        const delta = this.#pending;
+        if (delta !== 0) {
+            await store.incrementCount(delta);
+            this.#pending -= delta;
+        }
+        const count = await store.getCount() + this.#pending;
+        if (count !== this.#count) {
+            this.#count = count;
+            this.#updatedAt = Date.now();
+            this.#scheduleBroadcast();
+        }
+        await this.#persist();
+
+        if (this.#pending !== 0 || this.#hubs.size > 0 || this.ctx.getWebSockets().length > 0) {
+            await this.#ensureAlarm();
+        } else {
+            this.#closeStore();
+        }
+    }
+
+    /**
+     * Adds boops to the live count.
+     *
+     * @param {number} delta The number of boops to add.
+     * @returns {void}
+     */
+    #add(delta) {
+        if (!Number.isSafeInteger(delta) || delta <= 0) {
+            console.warn(`[${this.#appName}] Ignoring invalid boop delta:`, { delta });
+            return;
+        }
+        this.#apply(delta);
+    }
+
+    /**
+     * Applies a change to the live count.
+     *
+     * @param {number} delta The change, negative for admin adjustments.
+     * @returns {void}
+     */
+    #apply(delta) {
+        this.#count += delta;
+        this.#pending += delta;
+        this.#updatedAt = Date.now();
+        this.#persist().catch((err) => {
+            console.error(`[${this.#appName}] Failed to persist the boop count:`, err);
+        });
+        this.#scheduleBroadcast();
+    }
+
+    /**
+     * Persists the count to the Durable Object storage.
+     *
+     * @returns {Promise<void>}
+     */
+    #persist() {
+        return this.ctx.storage.put({
+            count: this.#count,
+            pending: this.#pending,
+            updatedAt: this.#updatedAt
+        });
+    }
+
+    /**
+     * Schedules the flush alarm if it is not scheduled yet.
+     *
+     * @returns {Promise<void>}
+     */
+    async #ensureAlarm() {
+        if (this.#alarmScheduled) {
+            return;
+        }
+        this.#alarmScheduled = true;
+        if (await this.ctx.storage.getAlarm() == null) {
+            await this.ctx.storage.setAlarm(Date.now() + GBC_FLUSH_INTERVAL);
+        }
+    }
+
+    /**
+     * Schedules a broadcast of the count to all subscribers and hubs.
+     *
+     * @returns {void}
+     */
+    #scheduleBroadcast() {
+        if (this.#broadcastTimeout != null) {
+            return;
+        }
+        this.#broadcastTimeout = setTimeout(() => {
+            this.#broadcastTimeout = null;
+            if (this.#count === this.#lastBroadcast) {
+                return;
+            }
+            this.#lastBroadcast = this.#count;
+            const message = PROTO_BOOP_COUNT + this.#count.toString(36);
+            for (const ws of this.ctx.getWebSockets()) {
+                try {
+                    ws.send(message);
+                } catch (err) {
+                    console.warn(`[${this.#appName}] Failed to send the boop count to a subscriber:`, err);
+                }
+            }
+            const count = this.#count;
+            const hubs = /** @type {Env} */ (this.env).WELLMARES_HUB;
+            for (const name of this.#hubs) {
+                hubs.get(hubs.idFromName(name)).setCount(count).then((active) => {
+                    if (!active) {
+                        return this.unsubscribeHub(name);
+                    }
+                }).catch((err) => {
+                    console.warn(`[${this.#appName}] Failed to send the boop count to hub ${name}:`, err);
+                });
+            }
+        }, GBC_BROADCAST_INTERVAL);
+    }
+
+    /**
+     * Gets the initialized store, creating it if needed.
+     *
+     * @returns {Promise<import("./boop-store").BoopStore>} The store.
+     */
+    #getStore() {
+        if (!this.#storePromise) {
+            const store = createStore(/** @type {Env} */(this.env), this.#appName);
+            this.#storePromise = store.init().then(() => store);
+            this.#storePromise.catch(() => {
+                this.#storePromise = null;
+            });
+        }
+        return this.#storePromise;
+    }
+
+    /**
+     * Closes the store while the counter is idle.
+     *
+     * @returns {void}
+     */
+    #closeStore() {
+        const storePromise = this.#storePromise;
+        this.#storePromise = null;
+        storePromise?.then((store) => store.close()).catch((err) => {
+            console.error(`[${this.#appName}] Failed to close the store:`, err);
+        });
+    }
+}
+
+/**
+ * Gets the boop counter stub.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {DurableObjectStub<BoopCounter>} The boop counter stub.
+ */
+function getBoopCounter(env) {
+    return env.BOOP_COUNTER.get(env.BOOP_COUNTER.idFromName(BOOP_COUNTER_NAME));
+}
+
+/**
+ * Subscribes to the boop counter.
+ *
+ * Resolves once the current count has been delivered to the callback.
+ * The returned WebSocket only receives counts, closing it unsubscribes. Boop deltas go through
+ * the `add` RPC of the boop counter.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {(count: number) => void} onCount The callback invoked with the current count and on every change.
+ * @returns {Promise<WebSocket>} A promise that resolves to the accepted subscriber WebSocket.
+ */
+async function subscribeToBoopCounter(env, onCount) {
+    const resp = await getBoopCounter(env).fetch('https://boop-counter/subscribe', {
+        headers: { 'Upgrade': 'websocket' }
+    });
+    const ws = resp.webSocket;
+    if (!ws) {
+        throw new Error(`Boop counter refused the subscription with status ${resp.status}`);
+    }
+    ws.accept();
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            ws.close();
+            reject(new Error('Timed out waiting for the boop count'));
+        }, 10 * ONE_SECOND);
+        ws.addEventListener('message', (event) => {
+            const data = event.data;
+            const match = typeof data === 'string' && data.startsWith(PROTO_BOOP_COUNT) ?
+                data.slice(PROTO_BOOP_COUNT.length).match(/^([\da-z]{1,11})$/) : null;
+            if (!match) {
+                console.warn(`Received invalid data from the boop counter:`, { data });
+                return;
+            }
+            onCount(parseInt(match[1], 36));
+            clearTimeout(timeout);
+            resolve(ws);
+        });
+        ws.addEventListener('close', () => {
+            clearTimeout(timeout);
+            reject(new Error('Boop counter closed the subscription'));
+        });
+    });
+}
+
+export {
+    BoopCounter,
+    getBoopCounter,
+    subscribeToBoopCounter
+};
@@ -0,0 +1,130 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+
+/** @typedef {import('./index').Env} Env */
+
+/**
+ * A Boops per Hour (BPH) entry, `[validUntil, change]`.
+ * @typedef {[number, number]} BPHEntry
+ */
+
+/**
+ * Storage backend for the Global Boops Count (GBC) and the Boops per Hour (BPH) entries.
+ *
+ * Subclasses implement every method; the base class only documents the contract.
+ */
+class BoopStore {
+    /**
+     * Connects to the store.
+     *
+     * @return {Promise<void>} A promise that resolves when the store is ready.
+     */
+    async init() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Releases the resources held by the store.
+     *
+     * @return {Promise<void>} A promise that resolves when the store is closed.
+     */
+    async close() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Gets the Global Boops Count (GBC).
+     *
+     * @return {Promise<number>} A promise that resolves to the boop count.
+     */
+    async getCount() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Atomically adds to the Global Boops Count (GBC).
+     *
+     * @param {number} delta The number of boops to add.
+     * @return {Promise<void>} A promise that resolves when the change is persisted.
+     */
+    async incrementCount(delta) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Subscribes to the Global Boops Count (GBC).
+     * The callback is invoked with the current value, then on every change.
+     *
+     * @param {(count: number) => void} callback The callback to invoke.
+     * @return {() => void} A function that unsubscribes the callback.
+     */
+    onCountChange(callback) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Gets the valid Boops per Hour (BPH) entries of a client.
+     *
+     * @param {string} clientId The client ID.
+     * @return {Promise<Record<string, BPHEntry>>} A promise that resolves to the entries by key.
+     */
+    async getBPH(clientId) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Gets the raw Boops per Hour (BPH) data of every client, without validation.
+     *
+     * @return {Promise<Record<string, unknown>>} A promise that resolves to the entries by client ID.
+     */
+    async getAllBPH() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Adds a Boops per Hour (BPH) entry for a client.
+     *
+     * @param {string} clientId The client ID.
+     * @param {BPHEntry} entry The entry to add.
+     * @return {Promise<string>} A promise that resolves to the key of the new entry.
+     */
+    async pushBPH(clientId, entry) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Removes a Boops per Hour (BPH) entry, or every entry of a client if no key is given.
+     *
+     * @param {string} clientId The client ID.
+     * @param {string} [key] The key of the entry to remove.
+     * @return {Promise<void>} A promise that resolves when the entry is removed.
+     */
+    async removeBPH(clientId, key) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Subscribes to added Boops per Hour (BPH) entries of a client.
+     * The callback is invoked for every existing entry, then for every new one.
+     *
+     * @param {string} clientId The client ID.
+     * @param {(key: string, entry: BPHEntry) => void} callback The callback to invoke.
+     * @return {() => void} A function that unsubscribes the callback.
+     */
+    onBPHAdded(clientId, callback) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Subscribes to removed Boops per Hour (BPH) entries of a client.
+     *
+     * @param {string} clientId The client ID.
+     * @param {(key: string) => void} callback The callback to invoke.
+     * @return {() => void} A function that unsubscribes the callback.
+     */
+    onBPHRemoved(clientId, callback) {
+        throw new Error('Not implemented');
+    }
+}
+
+export { BoopStore };
@@ -0,0 +1,124 @@
+// @ts-check
+import {
+    ONE_SECOND,
+    TIMING_WINDOW,
+    TIMING_MAX_INTERVAL,
+    TIMING_ENTROPY_BIN,
+    TIMING_RATE_RUN,
+    TIMING_HUMAN_CV,
+    TIMING_HUMAN_ENTROPY,
+    TIMING_HUMAN_MAX_RATE
+} from "./constants";
+
+/**
+ * The boop timing of a client, persisted with its rate limiting state in the hub storage.
+ * @typedef {Object} BoopTiming
+ * @property {number} lastBoopAt The time of the last boop request, or 0 if none was received.
+ * @property {Array<[number, number]>} intervals The latest intervals between boop requests, in milliseconds, with the
+ * number of boops of each request, oldest first.
+ * @property {number} sinceAnalysis The number of boop requests since the last analysis.
+ */
+
+/**
+ * The outcome of a timing analysis. Humans do not boop at perfectly regular intervals, nor fast for long.
+ * @typedef {Object} TimingReport
+ * @property {number} samples The number of intervals analyzed.
+ * @property {number} mean The mean interval, in milliseconds.
+ * @property {number} cv The coefficient of variation of the intervals, 0 if they are all equal.
+ * @property {number} entropy The Shannon entropy of the binned intervals, in bits.
+ * @property {number} maxRate The highest rate sustained over a run of intervals, in boops per second, batches included.
+ * @property {number} score How bot-like the timing is, from 0 to 100.
+ */
+
+/**
+ * Creates an empty boop timing.
+ *
+ * @return {BoopTiming} The timing.
+ */
+function createBoopTiming() {
+    return { lastBoopAt: 0, intervals: [], sinceAnalysis: 0 };
+}
+
+/**
+ * Records a boop request, keeping the latest intervals. A long pause starts a new sequence.
+ *
+ * @param {BoopTiming} timing The timing, updated in place.
+ * @param {number} now The current timestamp.
+ * @param {number} [count=1] The number of boops of the request, more than 1 for a batch.
+ * @return {void}
+ */
+function recordBoopTiming(timing, now, count = 1) {
+    const interval = now - timing.lastBoopAt;
+    timing.lastBoopAt = now;
+    if (interval > TIMING_MAX_INTERVAL) {
+        timing.intervals = [];
+        timing.sinceAnalysis = 0;
+        return;
+    }
+    timing.intervals.push([interval, count]);
+    if (timing.intervals.length > TIMING_WINDOW) {
+        timing.intervals.shift();
+    }
+    timing.sinceAnalysis++;
+}
+
+/**
+ * Clamps a signal to the [0, 1] range.
+ *
+ * @param {number} value The signal.
+ * @return {number} The clamped signal.
+ */
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Analyzes the intervals between boop requests. The regularity is that of the requests, while the rate
+ * counts every boop of a batch, so batching boops hides neither.
+ *
+ * @param {Array<[number, number]>} intervals The intervals, in milliseconds, with the number of boops of each
+ * request, oldest first. Must not be empty.
+ * @return {TimingReport} The report.
+ */
+function analyzeBoopTiming(intervals) {
+    const samples = intervals.length;
+    const mean = intervals.reduce((sum, [interval]) => sum + interval, 0) / samples;
+    const variance = intervals.reduce((sum, [interval]) => sum + (interval - mean) ** 2, 0) / samples;
+    const cv = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+    /** @type {Map<number, number>} */
+    const bins = new Map();
+    for (const [interval] of intervals) {
+        const bin = Math.floor(interval / TIMING_ENTROPY_BIN);
+        bins.set(bin, (bins.get(bin) ?? 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of bins.values()) {
+        entropy -= count / samples * Math.log2(count / samples);
+    }
+
+    let maxRate = 0;
+    const run = Math.min(TIMING_RATE_RUN, samples);
+    let runSum = 0;
+    let runBoops = 0;
+    for (let i = 0; i < samples; i++) {
+        runSum += intervals[i][0] - (i >= run ? intervals[i - run][0] : 0);
+        runBoops += intervals[i][1] - (i >= run ? intervals[i - run][1] : 0);
+        if (i >= run - 1) {
+            maxRate = Math.max(maxRate, runSum > 0 ? runBoops * ONE_SECOND / runSum : Infinity);
+        }
+    }
+
+    const regularity = clamp01(1 - cv / TIMING_HUMAN_CV);
+    const predictability = clamp01(1 - entropy / TIMING_HUMAN_ENTROPY);
+    const speed = clamp01(maxRate / TIMING_HUMAN_MAX_RATE - 1);
+    // Regularity weighs the most, a bot pacing itself below the human rate is still too regular
+    const score = Math.round(100 * (0.5 * regularity + 0.3 * predictability + 0.2 * speed));
+    return { samples, mean, cv, entropy, maxRate, score };
+}
+
+export {
+    createBoopTiming,
+    recordBoopTiming,
+    analyzeBoopTiming
+};
@@ -0,0 +1,284 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import {
+    createBPHLimiter,
+    createBPMLimiter,
+    createTokenBucketLimiter
+} from "./rate-limit";
+import { HEARTBEAT_TIMEOUT } from "../shared/protocol";
+import {
+    ONE_SECOND,
+    ONE_MINUTE,
+    BPH_LIMIT,
+    BPM_LIMIT,
+    BURST_LIMITER,
+    BURST_CAPACITY,
+    BURST_RATE,
+    MESSAGE_BURST,
+    MESSAGE_RATE,
+    MAX_MESSAGE_SIZE,
+    INVALID_MESSAGE_LIMIT,
+    CD_FAIL_LIMIT,
+    POW_THRESHOLD,
+    POW_DIFFICULTY,
+    POW_MAX_DIFFICULTY,
+    BOT_SCORE_THRESHOLD,
+    MAX_CLIENT_SOCKETS,
+    GBC_SYNC_INTERVAL,
+    BPH_SYNC_INTERVAL,
+    IPV6_PREFIX_LENGTH,
+    CONFIG_KEY,
+    CONFIG_REFRESH_INTERVAL
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+/** @typedef {import('./rate-limit').Limiter} Limiter */
+
+/**
+ * Limits and intervals that can be changed at runtime through the `CONFIG` KV namespace.
+ * @typedef {Object} RuntimeConfig
+ * @property {number} bphLimit The Boops per Hour (BPH) limit.
+ * @property {number} bpmLimit The Boops per Minute (BPM) limit.
+ * @property {number} burstCapacity The capacity of the burst token bucket.
+ * @property {number} burstRate The refill rate of the burst token bucket, in tokens per second.
+ * @property {number} messageBurst The number of messages a connection can send at once.
+ * @property {number} messageRate The number of messages per second a connection can sustain.
+ * @property {number} maxMessageSize The maximum length of a message.
+ * @property {number} invalidMessageLimit The number of invalid messages allowed per connection.
+ * @property {number} cdFailLimit The number of boops allowed during a known cooldown before the connection is closed.
+ * @property {number} powThreshold The rejection score past which a client must solve a proof of work challenge, 0 to never challenge.
+ * @property {number} powDifficulty The difficulty of the first challenge, in leading zero bits.
+ * @property {number} powMaxDifficulty The maximum difficulty of a challenge, in leading zero bits.
+ * @property {number} botScoreThreshold The boop timing score, from 1 to 100, past which a client is flagged as a bot.
+ * @property {number} botLimitPercent The percentage of the rate limits left to flagged clients.
+ * @property {number} botChallenge Whether flagged clients must solve a proof of work challenge, 0 or 1.
+ * @property {number} maintenance Whether WebSocket connections are refused and the open ones closed, 0 or 1.
+ * @property {number} maxClientSockets The number of concurrent WebSocket connections allowed per client.
+ * @property {number} gbcSyncInterval The delay before accepted boops are sent to the boop counter, in milliseconds.
+ * @property {number} bphSyncInterval The interval between Boops per Hour (BPH) syncs, in milliseconds.
+ * @property {number} heartbeatTimeout The time without heartbeat after which a connection is closed, in milliseconds.
+ * @property {number} ipv6PrefixLength The length of the IPv6 prefix shared by the addresses of a client.
+ */
+
+/**
+ * The accepted range of each config value. Values outside their range fall back to the default.
+ * @type {Record<keyof RuntimeConfig, [number, number]>}
+ */
+const CONFIG_RANGES = {
+    bphLimit: [1, 1_000_000],
+    bpmLimit: [1, 100_000],
+    burstCapacity: [1, 10_000],
+    burstRate: [1, 1_000],
+    messageBurst: [1, 10_000],
+    messageRate: [1, 1_000],
+    // The hello frame of the protocol handshake must fit
+    maxMessageSize: [128, 4_096],
+    invalidMessageLimit: [0, 1_000],
+    cdFailLimit: [0, 1_000],
+    powThreshold: [0, 10_000],
+    // A 32-bit challenge already takes hours to solve in a browser
+    powDifficulty: [1, 32],
+    powMaxDifficulty: [1, 32],
+    botScoreThreshold: [1, 100],
+    botLimitPercent: [1, 100],
+    botChallenge: [0, 1],
+    maintenance: [0, 1],
+    maxClientSockets: [1, 100],
+    gbcSyncInterval: [50, 10 * ONE_SECOND],
+    bphSyncInterval: [ONE_SECOND, 10 * ONE_MINUTE],
+    // Clients send heartbeats based on the protocol timeout, so it can only be made more lenient
+    heartbeatTimeout: [HEARTBEAT_TIMEOUT, 5 * ONE_MINUTE],
+    ipv6PrefixLength: [32, 128]
+};
+
+/**
+ * The config used when the document is missing, invalid or unreachable.
+ * @type {Readonly<RuntimeConfig>}
+ */
+const DEFAULT_CONFIG = Object.freeze({
+    bphLimit: BPH_LIMIT,
+    bpmLimit: BPM_LIMIT,
+    burstCapacity: BURST_CAPACITY,
+    burstRate: BURST_RATE,
+    messageBurst: MESSAGE_BURST,
+    messageRate: MESSAGE_RATE,
+    maxMessageSize: MAX_MESSAGE_SIZE,
+    invalidMessageLimit: INVALID_MESSAGE_LIMIT,
+    cdFailLimit: CD_FAIL_LIMIT,
+    powThreshold: POW_THRESHOLD,
+    powDifficulty: POW_DIFFICULTY,
+    powMaxDifficulty: POW_MAX_DIFFICULTY,
+    botScoreThreshold: BOT_SCORE_THRESHOLD,
+    // Flagged clients are only logged unless the limits are lowered through the config
+    botLimitPercent: 100,
+    botChallenge: 0,
+    maintenance: 0,
+    maxClientSockets: MAX_CLIENT_SOCKETS,
+    gbcSyncInterval: GBC_SYNC_INTERVAL,
+    bphSyncInterval: BPH_SYNC_INTERVAL,
+    heartbeatTimeout: HEARTBEAT_TIMEOUT,
+    ipv6PrefixLength: IPV6_PREFIX_LENGTH
+});
+
+/**
+ * The config cache, shared by every handler of the isolate.
+ */
+const cache = {
+    /** @type {Readonly<RuntimeConfig>} */
+    config: DEFAULT_CONFIG,
+    /** @type {string | null} */
+    raw: null,
+    loadedAt: 0,
+    /** @type {Promise<Readonly<RuntimeConfig>> | null} */
+    loading: null
+};
+
+/**
+ * The rate limit policies built for each config, by limit percentage.
+ * @type {WeakMap<Readonly<RuntimeConfig>, Map<number, Limiter[]>>}
+ */
+const policies = new WeakMap();
+
+/**
+ * Validates a config document, replacing the invalid or missing values by their default.
+ *
+ * @param {unknown} doc The parsed config document.
+ * @returns {Readonly<RuntimeConfig>} The config.
+ */
+function parseConfig(doc) {
+    if (doc == null || typeof doc !== 'object' || Array.isArray(doc)) {
+        if (doc != null) {
+            console.warn(`Ignoring the config document, expected an object:`, { doc });
+        }
+        return DEFAULT_CONFIG;
+    }
+    const values = /** @type {Record<string, unknown>} */ (doc);
+    /** @type {RuntimeConfig} */
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of /** @type {(keyof RuntimeConfig)[]} */ (Object.keys(CONFIG_RANGES))) {
+        const value = values[key];
+        if (value === undefined) {
+            continue;
+        }
+        const [min, max] = CONFIG_RANGES[key];
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+            console.warn(`Ignoring config value ${key}, expected an integer between ${min} and ${max}:`, { value });
+            continue;
+        }
+        config[key] = value;
+    }
+    for (const key of Object.keys(values)) {
+        if (!(key in CONFIG_RANGES)) {
+            console.warn(`Ignoring unknown config value ${key}.`);
+        }
+    }
+    return Object.freeze(config);
+}
+
+/**
+ * Loads the config document from KV, keeping the current config if it fails.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {Promise<Readonly<RuntimeConfig>>} A promise that resolves to the config.
+ */
+async function loadConfig(env) {
+    try {
+        const raw = await env.CONFIG.get(CONFIG_KEY);
+        if (raw !== cache.raw) {
+            let doc = null;
+            try {
+                doc = raw == null ? null : JSON.parse(raw);
+            } catch (err) {
+                console.warn(`Ignoring the config document, invalid JSON:`, err);
+            }
+            cache.config = parseConfig(doc);
+            cache.raw = raw;
+        }
+    } catch (err) {
+        console.error(`Failed to load the config, keeping the current one:`, err);
+    }
+    cache.loadedAt = Date.now();
+    return cache.config;
+}
+
+/**
+ * Gets the runtime config, refreshing it from KV once per refresh interval.
+ * Concurrent callers share the same refresh.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {Promise<Readonly<RuntimeConfig>>} A promise that resolves to the config.
+ */
+function getConfig(env) {
+    if (Date.now() - cache.loadedAt < CONFIG_REFRESH_INTERVAL) {
+        return Promise.resolve(cache.config);
+    }
+    if (!cache.loading) {
+        cache.loading = loadConfig(env).finally(() => {
+            cache.loading = null;
+        });
+    }
+    return cache.loading;
+}
+
+/**
+ * Saves a new config document, which takes effect in every isolate within the refresh interval.
+ * Unlike the stored document, which is parsed leniently, the new document is rejected as a whole
+ * if any of its values is unknown or out of range.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {Record<string, unknown>} doc The config document, the missing values take their default.
+ * @returns {Promise<Readonly<RuntimeConfig>>} A promise that resolves to the new config.
+ * @throws {RangeError} If a value is unknown or out of range.
+ */
+async function saveConfig(env, doc) {
+    for (const [key, value] of Object.entries(doc)) {
+        if (!(key in CONFIG_RANGES)) {
+            throw new RangeError(`Unknown config value ${key}`);
+        }
+        const [min, max] = CONFIG_RANGES[/** @type {keyof RuntimeConfig} */ (key)];
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+            throw new RangeError(`Expected ${key} to be an integer between ${min} and ${max}`);
+        }
+    }
+    const raw = JSON.stringify(doc);
+    await env.CONFIG.put(CONFIG_KEY, raw);
+    cache.config = parseConfig(doc);
+    cache.raw = raw;
+    cache.loadedAt = Date.now();
+    return cache.config;
+}
+
+/**
+ * Gets the rate limit policy of a config, chaining the BPH and BPM windows with the burst token bucket.
+ *
+ * @param {Readonly<RuntimeConfig>} config The config.
+ * @param {number} [limitPercent] The percentage of the limits to apply, for clients that get lower limits.
+ * @returns {Limiter[]} The rate limit policy.
+ */
+function getRateLimitPolicy(config, limitPercent = 100) {
+    let byPercent = policies.get(config);
+    if (!byPercent) {
+        byPercent = new Map();
+        policies.set(config, byPercent);
+    }
+    let policy = byPercent.get(limitPercent);
+    if (!policy) {
+        /** @type {(limit: number) => number} */
+        const scale = (limit) => Math.max(1, Math.floor(limit * limitPercent / 100));
+        policy = [
+            createBPHLimiter(scale(config.bphLimit)),
+            createBPMLimiter(scale(config.bpmLimit)),
+            createTokenBucketLimiter(BURST_LIMITER, scale(config.burstCapacity), scale(config.burstRate))
+        ];
+        byPercent.set(limitPercent, policy);
+    }
+    return policy;
+}
+
+export {
+    CONFIG_RANGES,
+    DEFAULT_CONFIG,
+    getConfig,
+    saveConfig,
+    getRateLimitPolicy
+};
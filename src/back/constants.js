@@ -4,6 +4,7 @@
 const ONE_SECOND = 1_000;
 const ONE_MINUTE = 60_000;
 const ONE_HOUR = 3_600_000;
+const ONE_DAY = 24 * ONE_HOUR;
 
 // Firebase token constants
 const FB_TOKEN_TTL = ONE_HOUR;
@@ -15,9 +16,53 @@ const FB_TOKEN_USER_ID = 'wellmares-worker';
 const BPH_VALID_UNTIL = 0;
 const BPH_CHANGE = 1;
 
+// Client ID constants
+const CLIENT_ID_PREFIX = 'h';
+const CLIENT_ID_BYTES = 16;
+const LEGACY_CLIENT_ID_PREFIX = 'c';
+const IPV6_PREFIX_LENGTH = 64;
+
 // Cooldown
 const CD_FAIL_LIMIT = 5;
 
+// Ban constants, each ban lasts twice as long as the previous one until the client behaves for BAN_STRIKE_DECAY
+const BAN_BASE_DURATION = ONE_MINUTE;
+const BAN_MAX_DURATION = ONE_DAY;
+const BAN_STRIKE_DECAY = ONE_DAY;
+
+// Proof of work constants, clients whose boops keep being rejected must solve a challenge to boop again.
+// Rejections add up to a score that halves every POW_SCORE_HALF_LIFE, each doubling of the score past the
+// threshold makes the challenge POW_DIFFICULTY_STEP bits harder
+const POW_THRESHOLD = 20;
+const POW_DIFFICULTY = 16;
+const POW_MAX_DIFFICULTY = 24;
+const POW_DIFFICULTY_STEP = 2;
+const POW_SCORE_HALF_LIFE = ONE_MINUTE;
+const POW_CHALLENGE_TTL = 5 * ONE_MINUTE;
+
+// Boop timing analysis constants, see src/back/boop-timing.js. Each signal scores 0 at the human bound and
+// 100 for a perfect bot: TIMING_HUMAN_CV is the interval variation, TIMING_HUMAN_ENTROPY the entropy in bits of
+// the intervals binned by TIMING_ENTROPY_BIN ms and TIMING_HUMAN_MAX_RATE the boops per second, every boop of a
+// batch included, sustained over TIMING_RATE_RUN intervals. Longer pauses than TIMING_MAX_INTERVAL start a new sequence
+const TIMING_WINDOW = 32;
+const TIMING_MIN_SAMPLES = 16;
+const TIMING_ANALYZE_EVERY = 8;
+const TIMING_MAX_INTERVAL = 10 * ONE_SECOND;
+const TIMING_ENTROPY_BIN = 10;
+const TIMING_RATE_RUN = 8;
+const TIMING_HUMAN_CV = 0.2;
+const TIMING_HUMAN_ENTROPY = 3;
+const TIMING_HUMAN_MAX_RATE = 12;
+const TIMING_FLAG_TTL = 10 * ONE_MINUTE;
+const BOT_SCORE_THRESHOLD = 60;
+
+// Boop session constants, see SESSION_RESUME_WINDOW in src/shared/protocol.js. The answered boop IDs of a
+// session are remembered for SESSION_TTL after its last boop, up to SESSION_MAX_BOOPS IDs per session
+// and SESSION_LIMIT sessions per client
+const SESSION_TTL = 5 * ONE_MINUTE;
+const SESSION_MAX_BOOPS = 64;
+const SESSION_LIMIT = 8;
+
 // Boops per Hour (BPH) constants
 const BPH_KEY = 'boops-per-hour';
 const BPH_SYNC_INTERVAL = ONE_MINUTE;
@@ -26,25 +71,148 @@ const BPH_LIMIT = 10_000;
 // Boops per Minute (BPM) constants
 const BPM_LIMIT = 1_000;
 
+// Rate limiter names, reported to clients
+const BPH_LIMITER = 'bph';
+const BPM_LIMITER = 'bpm';
+const BURST_LIMITER = 'burst';
+const POW_LIMITER = 'challenge';
+
+// Burst token bucket constants
+const BURST_CAPACITY = 40;
+const BURST_RATE = 20;
+
+// Per-connection message flood constants, every frame counts, boop requests included
+const MESSAGE_BURST = 60;
+const MESSAGE_RATE = 30;
+const MAX_MESSAGE_SIZE = 128;
+const INVALID_MESSAGE_LIMIT = 10;
+
 // Global Boops Count (GBC) constants
 const GBC_KEY = 'boop-count';
 const GBC_SYNC_INTERVAL = 250;
+const GBC_BROADCAST_INTERVAL = 250;
+const GBC_FLUSH_INTERVAL = 5 * ONE_SECOND;
+
+// Boop counter Durable Object constants
+const BOOP_COUNTER_NAME = 'global';
+const COUNTER_AUDIT_KEY_PREFIX = 'audit:';
+
+// WebSocket hub Durable Object constants
+const HUB_SHARDS = 8;
+const HUB_ALARM_INTERVAL = 10 * ONE_SECOND;
+const HUB_NAME_HEADER = 'X-WellMares-Hub';
+const HUB_CLIENT_ID_HEADER = 'X-WellMares-Client-Id';
+const HUB_CLIENT_KEY_PREFIX = 'client:';
+const HUB_PENALTY_KEY_PREFIX = 'penalty:';
+// Tags the sockets that use the binary sub-protocol, cannot collide with a client ID
+const HUB_BINARY_TAG = ':binary';
+
+// WebSocket upgrade constants, localhost origins are only allowed when the worker itself runs on localhost
+const LOCALHOST_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const MAX_CLIENT_SOCKETS = 4;
+
+// HTTP API constants
+const API_COUNT_MAX_AGE = 5 * ONE_SECOND;
+const API_COUNT_MAX_AGE_S = API_COUNT_MAX_AGE / ONE_SECOND;
+
+// Runtime config constants, KV itself caches reads for up to a minute
+const CONFIG_KEY = 'config';
+const CONFIG_REFRESH_INTERVAL = 15 * ONE_SECOND;
+
+// IP ban list constants, stored in the runtime config KV
+const IP_BANS_KEY = 'ip-bans';
+const IP_BANS_REFRESH_INTERVAL = 15 * ONE_SECOND;
+
+// Admin API constants
+const ADMIN_PATH_PREFIX = '/admin/';
+const ADMIN_MAX_BAN_DURATION = 365 * ONE_DAY;
+const ADMIN_AUDIT_LOG_LIMIT = 50;
+const ADMIN_TOP_BOOPERS_LIMIT = 20;
+const ADMIN_MAX_LIST_LIMIT = 500;
+
+// Server-Sent Events (SSE) constants
+const SSE_KEEP_ALIVE_INTERVAL = 15 * ONE_SECOND;
+const SSE_RETRY = 2 * ONE_SECOND;
 
 export {
     ONE_SECOND,
     ONE_MINUTE,
     ONE_HOUR,
+    ONE_DAY,
     FB_TOKEN_TTL,
     FB_TOKEN_TTL_S,
     FB_TOKEN_USER_ID,
     FB_TOKEN_CLOSE_CALL_THRESHOLD,
     BPH_VALID_UNTIL,
     BPH_CHANGE,
+    CLIENT_ID_PREFIX,
+    CLIENT_ID_BYTES,
+    LEGACY_CLIENT_ID_PREFIX,
+    IPV6_PREFIX_LENGTH,
     CD_FAIL_LIMIT,
+    BAN_BASE_DURATION,
+    BAN_MAX_DURATION,
+    BAN_STRIKE_DECAY,
+    POW_THRESHOLD,
+    POW_DIFFICULTY,
+    POW_MAX_DIFFICULTY,
+    POW_DIFFICULTY_STEP,
+    POW_SCORE_HALF_LIFE,
+    POW_CHALLENGE_TTL,
+    TIMING_WINDOW,
+    TIMING_MIN_SAMPLES,
+    TIMING_ANALYZE_EVERY,
+    TIMING_MAX_INTERVAL,
+    TIMING_ENTROPY_BIN,
+    TIMING_RATE_RUN,
+    TIMING_HUMAN_CV,
+    TIMING_HUMAN_ENTROPY,
+    TIMING_HUMAN_MAX_RATE,
+    TIMING_FLAG_TTL,
+    BOT_SCORE_THRESHOLD,
+    SESSION_TTL,
+    SESSION_MAX_BOOPS,
+    SESSION_LIMIT,
     BPH_KEY,
     BPH_SYNC_INTERVAL,
     BPH_LIMIT,
     BPM_LIMIT,
+    BPH_LIMITER,
+    BPM_LIMITER,
+    BURST_LIMITER,
+    POW_LIMITER,
+    BURST_CAPACITY,
+    BURST_RATE,
+    MESSAGE_BURST,
+    MESSAGE_RATE,
+    MAX_MESSAGE_SIZE,
+    INVALID_MESSAGE_LIMIT,
     GBC_KEY,
-    GBC_SYNC_INTERVAL
+    GBC_SYNC_INTERVAL,
+    GBC_BROADCAST_INTERVAL,
+    GBC_FLUSH_INTERVAL,
+    BOOP_COUNTER_NAME,
+    COUNTER_AUDIT_KEY_PREFIX,
+    HUB_SHARDS,
+    HUB_ALARM_INTERVAL,
+    HUB_NAME_HEADER,
+    HUB_CLIENT_ID_HEADER,
+    HUB_CLIENT_KEY_PREFIX,
+    HUB_PENALTY_KEY_PREFIX,
+    HUB_BINARY_TAG,
+    LOCALHOST_HOSTNAMES,
+    MAX_CLIENT_SOCKETS,
+    API_COUNT_MAX_AGE,
+    API_COUNT_MAX_AGE_S,
+    CONFIG_KEY,
+    CONFIG_REFRESH_INTERVAL,
+    IP_BANS_KEY,
+    IP_BANS_REFRESH_INTERVAL,
+    ADMIN_PATH_PREFIX,
+    ADMIN_MAX_BAN_DURATION,
+    ADMIN_AUDIT_LOG_LIMIT,
+    ADMIN_TOP_BOOPERS_LIMIT,
+    ADMIN_MAX_LIST_LIMIT,
+    SSE_KEEP_ALIVE_INTERVAL,
+    SSE_RETRY
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { deleteApp, initializeApp } from "firebase/app";
+import { getAuth, signInWithCustomToken } from "firebase/auth";
+import {
+    getDatabase,
+    ref,
+    get,
+    set,
+    push,
+    remove,
+    increment,
+    onChildAdded,
+    onChildRemoved,
+    onValue
+} from "firebase/database";
+import { BoopStore } from "./boop-store";
+import { getToken, isValidBPHEntry } from "./utils";
+import { isObject } from "../shared/utils";
+import {
+    FB_TOKEN_USER_ID,
+    BPH_KEY,
+    GBC_KEY
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+/** @typedef {import('./boop-store').BPHEntry} BPHEntry */
+
+/**
+ * Storage backend on top of the Firebase Realtime Database.
+ */
+class FirebaseStore extends BoopStore {
+    /**
+     * The environment variables.
+     * @type {Env}
+     */
+    #env;
+
+    /**
+     * Firebase app name, also used as the log prefix.
+     * @type {string}
+     */
+    #appName;
+
+    /**
+     * The host of the request, used for the Firebase token cache.
+     * @type {string | undefined}
+     */
+    #host;
+
+    /**
+     * The Firebase app instance.
+     * @type {import("firebase/app").FirebaseApp}
+     */
+    #app;
+
+    /**
+     * The Firebase Realtime Database instance.
+     * @type {import("firebase/database").Database}
+     */
+    #db = /** @type {any} */ (null);
+
+    /**
+     * Creates a new Firebase store.
+     *
+     * @param {Env} env The environment variables.
+     * @param {string} appName The Firebase app name.
+     * @param {string} [host] The host of the request, used for the Firebase token cache.
+     */
+    constructor(env, appName, host) {
+        super();
+        this.#env = env;
+        this.#appName = appName;
+        this.#host = host;
+        this.#app = initializeApp(JSON.parse(env.FIREBASE_CONFIG), appName);
+    }
+
+    /** @override */
+    async init() {
+        const token = await getToken(this.#appName, this.#env, FB_TOKEN_USER_ID, this.#host);
+        await signInWithCustomToken(getAuth(this.#app), token);
+        this.#db = getDatabase(this.#app);
+    }
+
+    /** @override */
+    async close() {
+        await deleteApp(this.#app);
+    }
+
+    /** @override */
+    async getCount() {
+        const gbcRef = ref(this.#db, GBC_KEY);
+        const gbcSS = await get(gbcRef);
+        let gbcSSVal = gbcSS.val();
+        if (gbcSSVal != null && (typeof gbcSSVal !== 'number' || gbcSSVal < 0)) {
+            console.warn(`[${this.#appName}] Invalid Global Boops Count (GBC) data, resetting.`, { gbcSSVal });
+            gbcSSVal = null;
+        }
+        if (gbcSSVal == null) {
+            await set(gbcRef, 0);
+        }
+        return gbcSSVal || 0;
+    }
+
+    /**
+     * @override
+     * @param {number} delta The number of boops to add.
+     */
+    async incrementCount(delta) {
+        await set(ref(this.#db, GBC_KEY), increment(delta));
+    }
+
+    /**
+     * @override
+     * @param {(count: number) => void} callback The callback to invoke.
+     */
+    onCountChange(callback) {
+        return onValue(ref(this.#db, GBC_KEY), (snapshot) => {
+            const val = snapshot.val();
+            if (typeof val !== 'number') {
+                console.warn(`[${this.#appName}] Received invalid Global Boops Count (GBC) value:`, { val });
+                return;
+            }
+            callback(val);
+        });
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     */
+    async getBPH(clientId) {
+        const bphRef = ref(this.#db, `${BPH_KEY}/${clientId}`);
+        const bphSS = await get(bphRef);
+        const bphSSVal = bphSS.val();
+        /** @type {Record<string, BPHEntry>} */
+        const bph = {};
+        if (!isObject(bphSSVal)) {
+            if (bphSSVal != null) {
+                console.warn(`[${this.#appName}] Invalid Boops per Hour (BPH) data for client ${clientId}, resetting.`);
+                await set(bphRef, {});
+            }
+            return bph;
+        }
+        for (const [key, val] of Object.entries(bphSSVal)) {
+            if (isValidBPHEntry(val)) {
+                bph[key] = val;
+            }
+        }
+        return bph;
+    }
+
+    /** @override */
+    async getAllBPH() {
+        const bphRootRef = ref(this.#db, BPH_KEY);
+        const bphRootSS = await get(bphRootRef);
+        const bphRootSSVal = bphRootSS.val();
+        if (!isObject(bphRootSSVal)) {
+            await set(bphRootRef, {});
+            return {};
+        }
+        return bphRootSSVal;
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {BPHEntry} entry The entry to add.
+     */
+    async pushBPH(clientId, entry) {
+        const entryRef = await push(ref(this.#db, `${BPH_KEY}/${clientId}`), entry);
+        return /** @type {string} */ (entryRef.key);
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {string} [key] The key of the entry to remove.
+     */
+    async removeBPH(clientId, key) {
+        const path = key == null ? `${BPH_KEY}/${clientId}` : `${BPH_KEY}/${clientId}/${key}`;
+        await remove(ref(this.#db, path));
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {(key: string, entry: BPHEntry) => void} callback The callback to invoke.
+     */
+    onBPHAdded(clientId, callback) {
+        return onChildAdded(ref(this.#db, `${BPH_KEY}/${clientId}`), (snapshot) => {
+            const val = snapshot.val();
+            const key = snapshot.key;
+            if (key == null) {
+                console.warn(`[${this.#appName}] Received Boops per Hour (BPH) entry with null key for client ${clientId}.`);
+                return;
+            }
+            if (!isValidBPHEntry(val)) {
+                console.warn(`[${this.#appName}] Received invalid Boops per Hour (BPH) entry (${key}) for client ${clientId}:`, { val });
+                // Remove the invalid entry
+                this.removeBPH(clientId, key).catch((err) => {
+                    console.error(`[${this.#appName}] Failed to remove invalid Boops per Hour (BPH) entry (${key}) for client ${clientId}:`, err);
+                });
+                return;
+            }
+            callback(key, val);
+        });
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {(key: string) => void} callback The callback to invoke.
+     */
+    onBPHRemoved(clientId, callback) {
+        return onChildRemoved(ref(this.#db, `${BPH_KEY}/${clientId}`), (snapshot) => {
+            if (snapshot.key == null) {
+                return;
+            }
+            callback(snapshot.key);
+        });
+    }
+}
+
+export { FirebaseStore };
@@ -0,0 +1,1391 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { unpatchGlobalWebSocket } from "./patch-global-websocket";
+import { DurableObject } from "cloudflare:workers";
+import { WellMaresWSHandler } from "./ws-handler";
+import { createStore } from "./store";
+import { getBoopCounter } from "./boop-counter";
+import { DEFAULT_CONFIG, getConfig, getRateLimitPolicy } from "./config";
+import {
+    createBannedResponse,
+    createClosedResponse,
+    createUpgradeResponse,
+    getBannedReason,
+    getWebSocketProtocol
+} from "./utils";
+import { encodeBoopCount } from "../shared/binary-protocol";
+import { isPowSolution } from "../shared/pow";
+import { createBoopTiming, recordBoopTiming, analyzeBoopTiming } from "./boop-timing";
+import {
+    createBPMRing,
+    getBPMRingTimestamps,
+    attemptBoop,
+    queryCooldown
+} from "./rate-limit";
+import {
+    INTERNAL_SERVER_ERROR_ERRCODE,
+    INTERNAL_SERVER_ERROR_ERRMSG,
+    BANNED_ERRCODE,
+    MAINTENANCE_ERRCODE,
+    MAINTENANCE_ERRMSG,
+    PROTO_HEARTBEAT,
+    PROTO_BOOP_COUNT
+} from "../shared/protocol";
+import {
+    ONE_HOUR,
+    BPH_VALID_UNTIL,
+    BPH_CHANGE,
+    BAN_BASE_DURATION,
+    BAN_MAX_DURATION,
+    BAN_STRIKE_DECAY,
+    POW_LIMITER,
+    POW_DIFFICULTY_STEP,
+    POW_SCORE_HALF_LIFE,
+    POW_CHALLENGE_TTL,
+    TIMING_MIN_SAMPLES,
+    TIMING_ANALYZE_EVERY,
+    TIMING_FLAG_TTL,
+    SESSION_TTL,
+    SESSION_MAX_BOOPS,
+    SESSION_LIMIT,
+    HUB_SHARDS,
+    HUB_ALARM_INTERVAL,
+    HUB_NAME_HEADER,
+    HUB_CLIENT_ID_HEADER,
+    HUB_CLIENT_KEY_PREFIX,
+    HUB_PENALTY_KEY_PREFIX,
+    HUB_BINARY_TAG
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+/** @typedef {import('./boop-store').BPHEntry} BPHEntry */
+
+/**
+ * Rate limiting state of a client, persisted in the hub storage so that it is shared by
+ * all connections of the client and survives hibernation.
+ * @typedef {Object} ClientState
+ * @property {number} cooldownUntil The cooldown until timestamp, or 0 if not in cooldown.
+ * @property {number} cooldownFails The number of consecutive boops attempted during a known cooldown.
+ * @property {string} [cooldownLimiter] The name of the limiter that caused the cooldown.
+ * @property {import('./rate-limit').BPMRing} bpm The Boops per Minute (BPM) window.
+ * @property {Record<string, import('./rate-limit').TokenBucketState>} [buckets] The token buckets by limiter name.
+ * @property {number} unsyncedBPH The boops not yet pushed as a Boops per Hour (BPH) entry.
+ * @property {number} bphSyncedAt The time the Boops per Hour (BPH) were last synced.
+ * @property {RejectionScore} [rejections] How often the boops of the client were rejected lately.
+ * @property {Challenge | null} [challenge] The proof of work challenge the client must solve before booping again.
+ * @property {import('./boop-timing').BoopTiming} [timing] The timing of the boop requests, see {@link WellMaresHub#recordBoopTiming}.
+ * @property {Suspicion | null} [suspicion] The latest flag raised by the boop timing analysis.
+ * @property {Record<string, BoopSession>} [sessions] The recent boop sessions of the client by token.
+ */
+
+/**
+ * The boops recently answered in a session of a client, to recognize the boops re-sent after a reconnect.
+ * @typedef {Object} BoopSession
+ * @property {number} seenAt The time of the last boop of the session, it is dropped after `SESSION_TTL`.
+ * @property {SessionBoop[]} boops The answered boop IDs, oldest first.
+ */
+
+/**
+ * The answer to a boop ID of a session: the boop ID, the number of boops accepted, and the cooldown until
+ * timestamp and limiter that rejected the rest, 0 and null if none was rejected.
+ * @typedef {[number, number, number, string | null]} SessionBoop
+ */
+
+/**
+ * A flag raised when the boop timing of a client looks automated, see src/back/boop-timing.js.
+ * @typedef {Object} Suspicion
+ * @property {number} score The timing score, from 0 to 100.
+ * @property {number} flaggedAt The time of the flag, it is dropped after `TIMING_FLAG_TTL`.
+ */
+
+/**
+ * A score that grows by one with each rejected boop and halves every `POW_SCORE_HALF_LIFE`.
+ * @typedef {Object} RejectionScore
+ * @property {number} score The score at `updatedAt`.
+ * @property {number} updatedAt The time the score was last updated.
+ */
+
+/**
+ * A proof of work challenge, see src/shared/pow.js.
+ * @typedef {Object} Challenge
+ * @property {string} seed The random seed.
+ * @property {number} difficulty The number of leading zero bits the solution hash must have.
+ * @property {number} issuedAt The time of the challenge, it is dropped after `POW_CHALLENGE_TTL`.
+ */
+
+/**
+ * Penalty record of a client, persisted in the hub storage apart from its state so that it outlives
+ * the state of idle clients.
+ * @typedef {Object} Penalty
+ * @property {number} strikes The number of bans since the client last behaved for a while.
+ * @property {number} bannedAt The time of the last ban.
+ * @property {number} bannedUntil The time the last ban expires.
+ */
+
+/**
+ * A client loaded into the hub.
+ * @typedef {Object} HubClient
+ * @property {string} id The client ID.
+ * @property {ClientState} state The persisted state.
+ * @property {Promise<Record<string, BPHEntry>> | null} bph The Boops per Hour (BPH) entries as loaded from the store, updated by our own pushes.
+ * @property {number} bphLoadedAt The time the entries were requested from the store.
+ * @property {Penalty | null | undefined} penalty The penalty record, null if there is none, undefined until loaded.
+ */
+
+/**
+ * The outcome of a boop, or of a batch of boops.
+ * @typedef {Object} BoopResult
+ * @property {number} now The time the boop was handled.
+ * @property {number} accepted The number of boops accepted, the rest of a batch was rejected.
+ * @property {number} cooldownUntil The cooldown until timestamp if a boop was rejected, or 0 if all were accepted.
+ * @property {number} bannedUntil The ban expiry if the client is banned, or 0 if it is not.
+ * @property {number} cooldownFails The number of consecutive boops attempted during a known cooldown.
+ * @property {string | null} limiter The name of the limiter that rejected the boop.
+ * @property {import('./rate-limit').LimiterStatus[]} limiters The status of every limiter after the boop.
+ * @property {Challenge | null} challenge The challenge the client must solve, if the boop was rejected and the client is challenged.
+ * @property {number} count The Global Boops Count (GBC), including the accepted boops.
+ */
+
+/**
+ * What the hub knows about a client, for the admin API.
+ * @typedef {Object} ClientReport
+ * @property {number} now The time the report was made.
+ * @property {Record<string, BPHEntry>} bph The valid Boops per Hour (BPH) entries in the store.
+ * @property {number} unsyncedBPH The boops not yet pushed as a BPH entry.
+ * @property {number} cooldownUntil The cooldown until timestamp, or 0 if not in cooldown.
+ * @property {number} cooldownFails The number of consecutive boops attempted during a known cooldown.
+ * @property {string | null} limiter The name of the limiter that caused the cooldown.
+ * @property {import('./rate-limit').LimiterStatus[]} limiters The status of every limiter.
+ * @property {Penalty | null} penalty The penalty record.
+ * @property {Challenge | null} challenge The proof of work challenge the client must solve.
+ * @property {Suspicion | null} suspicion The active flag raised by the boop timing analysis.
+ * @property {number} connections The number of open connections of the client.
+ */
+
+/**
+ * A ban of a client, as listed by the admin API.
+ * @typedef {Penalty & { id: string }} ClientBan
+ */
+
+/**
+ * What a hub hosts, for the admin dashboard.
+ * @typedef {Object} HubStatus
+ * @property {number} connections The number of open connections.
+ * @property {number} clients The number of distinct clients with open connections.
+ * @property {ClientBan[]} bans The active bans of the clients of the hub.
+ */
+
+/**
+ * The cooldown of a client.
+ * @typedef {Object} CooldownResult
+ * @property {number} now The time the cooldown was checked.
+ * @property {number} cooldownUntil The cooldown until timestamp, or 0 if not in cooldown.
+ * @property {string | null} limiter The name of the limiter that caused the cooldown.
+ */
+
+unpatchGlobalWebSocket();
+
+// Constants for WebSocket pair indices
+const CLIENT = 0;
+const SERVER = 1;
+
+const NOOP = () => { };
+
+/**
+ * Durable Object that hosts client WebSockets through the WebSocket Hibernation API.
+ *
+ * Clients are sharded over the hubs by client ID (see {@link getHubName}), so a hub is the single
+ * authority for the rate limits of its clients, whether they boop over WebSockets or HTTP.
+ * Heartbeats are answered by an auto-response, so an idle hub can be evicted from memory without
+ * dropping its clients. The boop counter pushes count updates to every hub with clients
+ * (see {@link WellMaresHub#setCount}).
+ */
+class WellMaresHub extends DurableObject {
+    /**
+     * The hub name, used to subscribe to the boop counter.
+     * @type {string}
+     */
+    #name = '';
+
+    /**
+     * Store instance name, also used as the log prefix.
+     * @type {string}
+     */
+    #appName = `WM-hub-${crypto.randomUUID()}`;
+
+    /**
+     * The host of the first request, used by stores that cache credentials per colo.
+     * @type {string | undefined}
+     */
+    #host;
+
+    /**
+     * The promise that resolves to the initialized store.
+     * @type {Promise<import("./boop-store").BoopStore> | null}
+     */
+    #storePromise = null;
+
+    /**
+     * The promise that resolves once the hub is subscribed to the boop counter.
+     * @type {Promise<void> | null}
+     */
+    #subscribePromise = null;
+
+    /**
+     * The clients loaded since the hub woke up.
+     * @type {Map<string, Promise<HubClient>>}
+     */
+    #clients = new Map();
+
+    /**
+     * The last Global Boops Count (GBC) received from the boop counter.
+     * @type {number}
+     */
+    #lastGBC = 0;
+
+    /**
+     * The Global Boops Count (GBC) being sent to the boop counter.
+     * @type {number}
+     */
+    #inflightGBC = 0;
+
+    /**
+     * The unsynced Global Boops Count (GBC) value.
+     * @type {number}
+     */
+    #unsyncedGBC = 0;
+
+    /**
+     * The Global Boops Count (GBC) sync timeout.
+     * @type {NodeJS.Timeout | number | null}
+     */
+    #gbcSyncTimeout = null;
+
+    /**
+     * Whether the alarm is known to be scheduled.
+     * @type {boolean}
+     */
+    #alarmScheduled = false;
+
+    /**
+     * The runtime config, as of the last event that loaded it.
+     * @type {Readonly<import("./config").RuntimeConfig>}
+     */
+    #config = DEFAULT_CONFIG;
+
+    /**
+     * The services handed to the connection handlers.
+     * @type {import("./ws-handler").HubContext}
+     */
+    #hubContext;
+
+    /**
+     * Creates the hub.
+     *
+     * @param {DurableObjectState} ctx The Durable Object state.
+     * @param {Env} env The environment variables and bindings.
+     */
+    constructor(ctx, env) {
+        super(ctx, env);
+        // Answer heartbeats without waking the hub up
+        ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair(PROTO_HEARTBEAT, PROTO_HEARTBEAT));
+        this.#hubContext = {
+            appName: this.#appName,
+            getConfig: () => this.#config,
+            getBoopCount: () => this.#getBoopCount(),
+            boop: (clientId, count, session, boopId) => this.#boop(clientId, count, session, boopId),
+            solveChallenge: (clientId, seed, counter) => this.#solveChallenge(clientId, seed, counter),
+            getCooldown: (clientId) => this.#getCooldown(clientId)
+        };
+        ctx.blockConcurrencyWhile(async () => {
+            this.#name = /** @type {string | undefined} */ (await ctx.storage.get('name')) ?? '';
+        });
+    }
+
+    /**
+     * @override
+     * Accepts a client WebSocket forwarded by the worker.
+     *
+     * @param {Request} request The incoming request, with the hub name and client ID headers set.
+     * @returns {Promise<Response>} The response to be sent back to the client.
+     */
+    async fetch(request) {
+        if (request.headers.get("Upgrade") !== "websocket") {
+            return new Response("Expected WebSocket Upgrade", { status: 426 });
+        }
+        const clientId = request.headers.get(HUB_CLIENT_ID_HEADER);
+        if (!clientId || !await this.#setName(request.headers.get(HUB_NAME_HEADER))) {
+            return new Response("Missing hub headers", { status: 400 });
+        }
+        this.#host ??= new URL(request.url).host;
+
+        // Reject the connection before the store is ever initialized for it
+        const [penalty] = await Promise.all([
+            this.#getClient(clientId).then((client) => this.#loadPenalty(client)),
+            this.#loadConfig()
+        ]);
+        if (penalty && penalty.bannedUntil > Date.now()) {
+            return createBannedResponse(request, penalty.bannedUntil);
+        }
+        if (this.#config.maintenance === 1) {
+            return createClosedResponse(request, MAINTENANCE_ERRCODE, MAINTENANCE_ERRMSG);
+        }
+        const sockets = this.ctx.getWebSockets(clientId).filter((ws) => ws.readyState === WebSocket.OPEN);
+        if (sockets.length >= this.#config.maxClientSockets) {
+            console.warn(`[${this.#appName}] Client ${clientId} already has ${sockets.length} connections, rejecting another one.`);
+            return new Response("Too Many Connections", { status: 429 });
+        }
+
+        const protocol = getWebSocketProtocol(request);
+        const binary = protocol != null;
+        const pair = new WebSocketPair();
+        const ws = pair[SERVER];
+        this.ctx.acceptWebSocket(ws, binary ? [clientId, HUB_BINARY_TAG] : [clientId]);
+        const handler = WellMaresWSHandler.accept(this.#hubContext, ws, clientId, Date.now(), binary);
+        try {
+            await Promise.all([
+                this.#subscribe(),
+                this.#getClient(clientId).then((client) => this.#loadBPH(client)),
+                this.#ensureAlarm()
+            ]);
+            // Send initial boop count
+            handler.sendBoopCount();
+        } catch (error) {
+            console.error(`[${this.#appName}] Failed to initialize the connection of client ${clientId}:`, error);
+            ws.close(INTERNAL_SERVER_ERROR_ERRCODE, INTERNAL_SERVER_ERROR_ERRMSG);
+        }
+        return createUpgradeResponse(pair[CLIENT], protocol);
+    }
+
+    /**
+     * Boops on behalf of a client, enforcing its rate limits.
+     *
+     * @param {string} clientId The client ID.
+     * @param {string} [name] The hub name, required when called by the worker.
+     * @returns {Promise<BoopResult>} A promise that resolves to the outcome of the boop.
+     */
+    async boop(clientId, name) {
+        if (name != null) {
+            await this.#setName(name);
+        }
+        return this.#boop(clientId, 1);
+    }
+
+    /**
+     * Checks the solution to the challenge of a client that boops over HTTP.
+     *
+     * @param {string} clientId The client ID.
+     * @param {string} seed The seed of the solved challenge.
+     * @param {number} counter The solution counter.
+     * @returns {Promise<boolean>} A promise that resolves to whether the solution is valid.
+     */
+    async solveChallenge(clientId, seed, counter) {
+        return this.#solveChallenge(clientId, seed, counter);
+    }
+
+    /**
+     * Boops a batch of boops on behalf of a client. The boops go through one by one until a limiter
+     * rejects one, the rest of the batch is rejected with it.
+     *
+     * Within a session, a boop ID that was already answered is answered as it was the first time
+     * without attempting its boops again, as clients re-send the unanswered boops after a reconnect.
+     *
+     * Clients that keep booping through their cooldown are banned, whatever their transport.
+     *
+     * @param {string} clientId The client ID.
+     * @param {number} count The number of boops, at least 1.
+     * @param {string | null} [session] The session token of the connection, null if it has none.
+     * @param {number} [boopId] The boop or batch ID, unique within the session.
+     * @returns {Promise<BoopResult>} A promise that resolves to the outcome of the batch.
+     */
+    async #boop(clientId, count, session = null, boopId = 0) {
+        const result = await this.#attemptBoops(clientId, count, session, boopId);
+        if (result.cooldownUntil === 0 || result.cooldownFails <= this.#config.cdFailLimit) {
+            return result;
+        }
+        console.warn(`[${this.#appName}] Too many cooldown fails for client ${clientId}, banning it.`);
+        const bannedUntil = await this.ban(clientId);
+        return { ...result, cooldownUntil: 0, bannedUntil, limiter: null, challenge: null };
+    }
+
+    /**
+     * Attempts the boops of a batch, see {@link WellMaresHub#boop}.
+     *
+     * @param {string} clientId The client ID.
+     * @param {number} count The number of boops, at least 1.
+     * @param {string | null} session The session token of the connection, null if it has none.
+     * @param {number} boopId The boop or batch ID, unique within the session.
+     * @returns {Promise<BoopResult>} A promise that resolves to the outcome of the batch.
+     */
+    async #attemptBoops(clientId, count, session, boopId) {
+        const [client] = await Promise.all([
+            this.#getClient(clientId),
+            this.#subscribe(),
+            this.#ensureAlarm(),
+            this.#loadConfig()
+        ]);
+        const [entries, penalty] = await Promise.all([
+            this.#loadBPH(client),
+            this.#loadPenalty(client)
+        ]);
+        // Everything from here on is synchronous, so concurrent boops of the client cannot interleave
+        const now = Date.now();
+        if (penalty && penalty.bannedUntil > now) {
+            return {
+                now,
+                accepted: 0,
+                cooldownUntil: 0,
+                bannedUntil: penalty.bannedUntil,
+                cooldownFails: client.state.cooldownFails,
+                limiter: null,
+                limiters: [],
+                challenge: null,
+                count: this.#getBoopCount()
+            };
+        }
+        const state = client.state;
+        const replayed = session ? this.#findSessionBoop(state, session, boopId, now) : null;
+        if (replayed) {
+            const [, accepted, cooldownUntil, limiter] = replayed;
+            return {
+                now,
+                accepted,
+                // The rest stays rejected even if the cooldown has ended since
+                cooldownUntil: cooldownUntil === 0 ? 0 : Math.max(cooldownUntil, now + 1),
+                bannedUntil: 0,
+                cooldownFails: state.cooldownFails,
+                limiter,
+                limiters: [],
+                challenge: null,
+                count: this.#getBoopCount()
+            };
+        }
+        // Recorded before the challenge check, so a flag that challenges the client applies to this boop
+        this.#recordBoopTiming(client, count, now);
+        if (state.challenge && now - state.challenge.issuedAt >= POW_CHALLENGE_TTL) {
+            state.challenge = null;
+        }
+        if (state.challenge) {
+            // Until the challenge is solved or dropped, boops count as boops during a known cooldown
+            state.cooldownFails++;
+            this.#addRejection(client, now);
+            const cooldownUntil = state.challenge.issuedAt + POW_CHALLENGE_TTL;
+            if (session) {
+                this.#addSessionBoop(state, session, [boopId, 0, cooldownUntil, POW_LIMITER], now);
+            }
+            this.#saveClient(client);
+            return {
+                now,
+                accepted: 0,
+                cooldownUntil,
+                bannedUntil: 0,
+                cooldownFails: state.cooldownFails,
+                limiter: POW_LIMITER,
+                limiters: [],
+                challenge: state.challenge,
+                count: this.#getBoopCount()
+            };
+        }
+        const limits = this.#getLimitState(client, entries, now);
+        const policy = this.#getPolicy(state, now);
+        let accepted = 0;
+        /** @type {import('./rate-limit').RateLimitDecision} */
+        let decision;
+        do {
+            decision = attemptBoop(now, policy, state, limits);
+        } while (decision.cooldownUntil === 0 && ++accepted < count);
+        const challenge = decision.cooldownUntil === 0 ? null : this.#addRejection(client, now);
+        if (accepted > 0) {
+            state.unsyncedBPH += accepted;
+            this.#addBoops(accepted);
+        }
+        if (session) {
+            this.#addSessionBoop(state, session, [boopId, accepted, decision.cooldownUntil, decision.limiter], now);
+        }
+        this.#saveClient(client);
+        return {
+            now,
+            accepted,
+            cooldownUntil: decision.cooldownUntil,
+            bannedUntil: 0,
+            cooldownFails: state.cooldownFails,
+            limiter: decision.limiter,
+            limiters: decision.limiters,
+            challenge,
+            count: this.#getBoopCount()
+        };
+    }
+
+    /**
+     * Receives the Global Boops Count (GBC) from the boop counter and forwards it to the clients.
+     *
+     * @param {number} count The new GBC value.
+     * @returns {boolean} Whether the hub still has clients, the counter stops pushing otherwise.
+     */
+    setCount(count) {
+        const sockets = this.#getOpenWebSockets();
+        if (sockets.length === 0) {
+            this.#subscribePromise = null;
+            return false;
+        }
+        this.#subscribePromise ??= Promise.resolve();
+        if (count === this.#lastGBC) {
+            return true; // No change
+        }
+        this.#lastGBC = count;
+        const message = PROTO_BOOP_COUNT + this.#getBoopCount().toString(36);
+        const binarySockets = new Set(this.ctx.getWebSockets(HUB_BINARY_TAG));
+        const binaryMessage = binarySockets.size > 0 ? encodeBoopCount(this.#getBoopCount()) : null;
+        for (const ws of sockets) {
+            try {
+                ws.send(binaryMessage && binarySockets.has(ws) ? binaryMessage : message);
+            } catch (err) {
+                console.warn(`[${this.#appName}] Failed to send the boop count to a client:`, err);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Bans a client and closes all its connections. Unless a duration is given, each ban lasts twice
+     * as long as the previous one, unless the client has not been banned for a while.
+     *
+     * @param {string} clientId The client ID.
+     * @param {number} [duration] The ban duration, for bans issued by an admin. Replaces the current ban.
+     * @returns {Promise<number>} A promise that resolves to the ban expiry.
+     */
+    async ban(clientId, duration) {
+        const client = await this.#getClient(clientId);
+        await this.#loadPenalty(client);
+        const now = Date.now();
+        const previous = client.penalty;
+        const strikes = previous && now - previous.bannedAt < BAN_STRIKE_DECAY ? previous.strikes : 0;
+        /** @type {Penalty} */
+        let penalty;
+        if (duration != null) {
+            penalty = { strikes, bannedAt: now, bannedUntil: now + duration };
+        } else if (previous && previous.bannedUntil > now) {
+            return previous.bannedUntil; // Already banned by a concurrent boop
+        } else {
+            penalty = {
+                strikes: strikes + 1,
+                bannedAt: now,
+                bannedUntil: now + Math.min(BAN_BASE_DURATION * 2 ** strikes, BAN_MAX_DURATION)
+            };
+        }
+        client.penalty = penalty;
+        // Start over once the ban expires
+        client.state.cooldownFails = 0;
+        this.#saveClient(client);
+        this.ctx.storage.put(HUB_PENALTY_KEY_PREFIX + clientId, penalty).catch((err) => {
+            console.error(`[${this.#appName}] Failed to save the penalty of client ${clientId}:`, err);
+        });
+        console.warn(`[${this.#appName}] Banned client ${clientId} until ${new Date(penalty.bannedUntil).toISOString()} (strike ${penalty.strikes}).`);
+
+        const reason = getBannedReason(penalty.bannedUntil);
+        for (const ws of this.ctx.getWebSockets(clientId)) {
+            try {
+                ws.close(BANNED_ERRCODE, reason);
+            } catch (e) {
+                // Already closed
+            }
+        }
+        return penalty.bannedUntil;
+    }
+
+    /**
+     * Lifts the ban of a client and forgets its strikes.
+     *
+     * @param {string} clientId The client ID.
+     * @returns {Promise<boolean>} A promise that resolves to whether the client had a penalty record.
+     */
+    async unban(clientId) {
+        const client = await this.#getClient(clientId);
+        const penalty = await this.#loadPenalty(client);
+        client.penalty = null;
+        await this.ctx.storage.delete(HUB_PENALTY_KEY_PREFIX + clientId);
+        return penalty != null;
+    }
+
+    /**
+     * Reports the rate limiting state of a client.
+     *
+     * @param {string} clientId The client ID.
+     * @returns {Promise<ClientReport>} A promise that resolves to the report.
+     */
+    async inspect(clientId) {
+        const [client] = await Promise.all([
+            this.#getClient(clientId),
+            this.#loadConfig(),
+            this.#ensureAlarm()
+        ]);
+        const [entries, penalty] = await Promise.all([
+            this.#loadBPH(client),
+            this.#loadPenalty(client)
+        ]);
+        const now = Date.now();
+        const limits = this.#getLimitState(client, entries, now);
+        // Work on a copy, inspecting must not create or change the stored state
+        const state = structuredClone(client.state);
+        const { cooldownUntil, limiter, limiters } = queryCooldown(now, this.#getPolicy(state, now), state, limits);
+        return {
+            now,
+            bph: limits.bph,
+            unsyncedBPH: state.unsyncedBPH,
+            cooldownUntil,
+            cooldownFails: state.cooldownFails,
+            limiter,
+            limiters,
+            penalty,
+            challenge: state.challenge ?? null,
+            suspicion: state.suspicion && now - state.suspicion.flaggedAt < TIMING_FLAG_TTL ? state.suspicion : null,
+            connections: this.ctx.getWebSockets(clientId).length
+        };
+    }
+
+    /**
+     * Resets the quota of a client: drops its Boops per Hour (BPH) entries, its cooldown and its windows.
+     * Its penalty record is kept, see {@link WellMaresHub#unban}.
+     *
+     * @param {string} clientId The client ID.
+     * @returns {Promise<void>}
+     */
+    async reset(clientId) {
+        const [client, store] = await Promise.all([
+            this.#getClient(clientId),
+            this.#getStore(),
+            this.#ensureAlarm()
+        ]);
+        await store.removeBPH(clientId);
+        const now = Date.now();
+        client.state = createClientState(now);
+        client.bph = Promise.resolve({});
+        client.bphLoadedAt = now;
+        await this.ctx.storage.delete(HUB_CLIENT_KEY_PREFIX + clientId);
+    }
+
+    /**
+     * Reports the connections and active bans of the hub.
+     *
+     * @returns {Promise<HubStatus>} A promise that resolves to the status.
+     */
+    async getStatus() {
+        const sockets = this.#getOpenWebSockets();
+        const clients = new Set(sockets.map((ws) => this.#getHandler(ws).id));
+        const now = Date.now();
+        const penalties = await this.ctx.storage.list({ prefix: HUB_PENALTY_KEY_PREFIX });
+        /** @type {ClientBan[]} */
+        const bans = [];
+        for (const [key, penalty] of /** @type {Map<string, Penalty>} */ (penalties)) {
+            if (penalty.bannedUntil > now) {
+                bans.push({ id: key.slice(HUB_PENALTY_KEY_PREFIX.length), ...penalty });
+            }
+        }
+        return { connections: sockets.length, clients: clients.size, bans };
+    }
+
+    /**
+     * @override
+     * Handles client messages.
+     *
+     * @param {WebSocket} ws The client WebSocket.
+     * @param {string | ArrayBuffer} message The message.
+     * @returns {Promise<void>}
+     */
+    async webSocketMessage(ws, message) {
+        // The message limits come from the config, load it before reading the connection state
+        await this.#loadConfig();
+        const handler = this.#getHandler(ws);
+        try {
+            await handler.onMessage(message);
+        } catch (error) {
+            console.error(`[${this.#appName}] Failed to handle a message from client ${handler.id}:`, error);
+            ws.close(INTERNAL_SERVER_ERROR_ERRCODE, INTERNAL_SERVER_ERROR_ERRMSG);
+        }
+    }
+
+    /**
+     * @override
+     * Completes the closing handshake of a client.
+     *
+     * @param {WebSocket} ws The client WebSocket.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @returns {Promise<void>}
+     */
+    async webSocketClose(ws, code, reason) {
+        try {
+            ws.close(code, reason);
+        } catch (e) {
+            // Already closed
+        }
+        await this.#onClose(ws);
+    }
+
+    /**
+     * @override
+     * Handles a client WebSocket failing.
+     *
+     * @param {WebSocket} ws The client WebSocket.
+     * @param {unknown} error The error.
+     * @returns {Promise<void>}
+     */
+    async webSocketError(ws, error) {
+        console.warn(`[${this.#appName}] WebSocket error:`, error);
+        await this.#onClose(ws);
+    }
+
+    /**
+     * @override
+     * Closes the connections that missed their heartbeats, syncs the Boops per Hour (BPH)
+     * and forgets the clients whose limits have fully reset.
+     *
+     * @returns {Promise<void>}
+     */
+    async alarm() {
+        this.#alarmScheduled = false;
+        await this.#loadConfig();
+        const now = Date.now();
+        for (const ws of this.#getOpenWebSockets()) {
+            if (this.#config.maintenance === 1) {
+                ws.close(MAINTENANCE_ERRCODE, MAINTENANCE_ERRMSG);
+                continue;
+            }
+            const lastHeartbeat = this.ctx.getWebSocketAutoResponseTimestamp(ws)?.getTime() ?? 0;
+            this.#getHandler(ws).checkHeartbeat(now, lastHeartbeat);
+        }
+
+        const sockets = this.#getOpenWebSockets();
+        const stored = await this.ctx.storage.list({ prefix: HUB_CLIENT_KEY_PREFIX });
+        const remaining = await Promise.all([...stored.keys()].map(async (key) => {
+            const client = await this.#getClient(key.slice(HUB_CLIENT_KEY_PREFIX.length));
+            const connected = sockets.some((ws) => this.ctx.getTags(ws).includes(client.id));
+            // Clients without connections may never boop again, sync them right away
+            await this.#syncBPH(client, now, !connected);
+            if (connected || !this.#isClientIdle(client, now)) {
+                return true;
+            }
+            this.#clients.delete(client.id);
+            await this.ctx.storage.delete(key);
+            return false;
+        }));
+
+        // Forget the penalties of the clients that behaved long enough, without keeping the alarm for them
+        const penalties = await this.ctx.storage.list({ prefix: HUB_PENALTY_KEY_PREFIX });
+        for (const [key, penalty] of /** @type {Map<string, Penalty>} */ (penalties)) {
+            if (penalty.bannedUntil <= now && now - penalty.bannedAt >= BAN_STRIKE_DECAY) {
+                const client = await this.#clients.get(key.slice(HUB_PENALTY_KEY_PREFIX.length))?.catch(() => null);
+                if (client) {
+                    client.penalty = null;
+                }
+                await this.ctx.storage.delete(key);
+            }
+        }
+
+        if (sockets.length === 0) {
+            this.#onIdle();
+        }
+        if (sockets.length > 0 || remaining.includes(true)) {
+            await this.#ensureAlarm();
+        }
+    }
+
+    /**
+     * Handles a client WebSocket going away.
+     *
+     * @param {WebSocket} ws The client WebSocket.
+     * @returns {Promise<void>}
+     */
+    async #onClose(ws) {
+        const clientId = this.#getHandler(ws).id;
+        const sockets = this.#getOpenWebSockets().filter((socket) => socket !== ws);
+        if (!sockets.some((socket) => this.ctx.getTags(socket).includes(clientId))) {
+            // Last connection of the client, sync its remaining boops
+            const client = await this.#getClient(clientId).catch(() => null);
+            if (client) {
+                await this.#syncBPH(client, Date.now(), true);
+            }
+        }
+        if (sockets.length === 0) {
+            this.#onIdle();
+        }
+    }
+
+    /**
+     * Releases the resources held while the hub has connections.
+     *
+     * @returns {void}
+     */
+    #onIdle() {
+        // Send the remaining boops to the boop counter and unsubscribe
+        this.#gbcSync();
+        if (this.#subscribePromise) {
+            this.#subscribePromise = null;
+            getBoopCounter(/** @type {Env} */(this.env)).unsubscribeHub(this.#name).catch((err) => {
+                console.error(`[${this.#appName}] Failed to unsubscribe from the boop counter:`, err);
+            });
+        }
+
+        const storePromise = this.#storePromise;
+        this.#storePromise = null;
+        storePromise?.then((store) => store.close()).catch((err) => {
+            console.error(`[${this.#appName}] Failed to close the store:`, err);
+        });
+    }
+
+    /**
+     * Remembers the hub name, which the hub cannot learn from its ID.
+     *
+     * @param {string | null} name The hub name.
+     * @returns {Promise<boolean>} A promise that resolves to whether the name is valid.
+     */
+    async #setName(name) {
+        if (!name) {
+            return false;
+        }
+        if (name !== this.#name) {
+            this.#name = name;
+            await this.ctx.storage.put('name', name);
+        }
+        return true;
+    }
+
+    /**
+     * Gets the handler of a client WebSocket, restoring it from the attachment after hibernation.
+     *
+     * @param {WebSocket} ws The client WebSocket.
+     * @returns {WellMaresWSHandler} The handler.
+     */
+    #getHandler(ws) {
+        return new WellMaresWSHandler(this.#hubContext, ws, ws.deserializeAttachment());
+    }
+
+    /**
+     * Gets the client WebSockets that are still open.
+     *
+     * @returns {WebSocket[]} The open WebSockets.
+     */
+    #getOpenWebSockets() {
+        return this.ctx.getWebSockets().filter((ws) => ws.readyState === WebSocket.OPEN);
+    }
+
+    /**
+     * Gets a client, loading its state from the hub storage if needed.
+     *
+     * @param {string} clientId The client ID.
+     * @returns {Promise<HubClient>} A promise that resolves to the client.
+     */
+    #getClient(clientId) {
+        let client = this.#clients.get(clientId);
+        if (!client) {
+            const loaded = this.ctx.storage.get(HUB_CLIENT_KEY_PREFIX + clientId).then((stored) => {
+                /** @type {HubClient} */
+                const client = {
+                    id: clientId,
+                    state: /** @type {ClientState | undefined} */ (stored) ?? createClientState(Date.now()),
+                    bph: null,
+                    bphLoadedAt: 0,
+                    penalty: undefined
+                };
+                return client;
+            });
+            this.#clients.set(clientId, loaded);
+            loaded.catch(() => {
+                if (this.#clients.get(clientId) === loaded) {
+                    this.#clients.delete(clientId);
+                }
+            });
+            client = loaded;
+        }
+        return client;
+    }
+
+    /**
+     * Persists the state of a client.
+     *
+     * @param {HubClient} client The client.
+     * @returns {void}
+     */
+    #saveClient(client) {
+        this.ctx.storage.put(HUB_CLIENT_KEY_PREFIX + client.id, client.state).catch((err) => {
+            console.error(`[${this.#appName}] Failed to save the state of client ${client.id}:`, err);
+        });
+    }
+
+    /**
+     * Loads the penalty record of a client.
+     *
+     * @param {HubClient} client The client.
+     * @returns {Promise<Penalty | null>} A promise that resolves to the penalty record, or null if there is none.
+     */
+    async #loadPenalty(client) {
+        if (client.penalty === undefined) {
+            const stored = /** @type {Penalty | undefined} */ (await this.ctx.storage.get(HUB_PENALTY_KEY_PREFIX + client.id));
+            // A ban may have been issued while loading
+            if (client.penalty === undefined) {
+                client.penalty = stored ?? null;
+            }
+        }
+        return client.penalty ?? null;
+    }
+
+    /**
+     * Whether the limits of a client have fully reset, so its state can be dropped.
+     *
+     * @param {HubClient} client The client.
+     * @param {number} now The current timestamp.
+     * @returns {boolean} Whether the client is idle.
+     */
+    #isClientIdle(client, now) {
+        const state = client.state;
+        return state.unsyncedBPH === 0 && state.cooldownUntil <= now &&
+            (!state.challenge || now - state.challenge.issuedAt >= POW_CHALLENGE_TTL) &&
+            (!state.suspicion || now - state.suspicion.flaggedAt >= TIMING_FLAG_TTL) &&
+            Object.values(state.sessions ?? {}).every((boopSession) => now - boopSession.seenAt >= SESSION_TTL) &&
+            getBPMRingTimestamps(state.bpm, now).length === 0;
+    }
+
+    /**
+     * Loads the Boops per Hour (BPH) entries of a client, reloading them from the store
+     * once per sync interval to pick up entries pushed elsewhere.
+     *
+     * @param {HubClient} client The client.
+     * @returns {Promise<Record<string, BPHEntry>>} A promise that resolves to the entries.
+     */
+    #loadBPH(client) {
+        const now = Date.now();
+        if (!client.bph || now - client.bphLoadedAt >= this.#config.bphSyncInterval) {
+            const bph = this.#getStore().then((store) => store.getBPH(client.id));
+            client.bph = bph;
+            client.bphLoadedAt = now;
+            bph.catch(() => {
+                if (client.bph === bph) {
+                    client.bph = null;
+                }
+            });
+        }
+        return client.bph;
+    }
+
+    /**
+     * Gets the boop limit state of a client, dropping its expired Boops per Hour (BPH) entries.
+     *
+     * @param {HubClient} client The client.
+     * @param {Record<string, BPHEntry>} entries The BPH entries of the client.
+     * @param {number} now The current timestamp.
+     * @returns {import('./rate-limit').BoopLimitState} The boop limit state.
+     */
+    #getLimitState(client, entries, now) {
+        /** @type {import('./rate-limit').BoopLimitState} */
+        const limits = {
+            bph: {},
+            bphSum: client.state.unsyncedBPH,
+            bpmBoops: getBPMRingTimestamps(client.state.bpm, now)
+        };
+        for (const [key, entry] of Object.entries(entries)) {
+            if (entry[BPH_VALID_UNTIL] <= now) {
+                delete entries[key];
+                this.#removeBPH(client.id, key);
+                continue;
+            }
+            limits.bph[key] = entry;
+            limits.bphSum += entry[BPH_CHANGE];
+        }
+        return limits;
+    }
+
+    /**
+     * Gets the cooldown of a client.
+     *
+     * @param {string} clientId The client ID.
+     * @returns {Promise<CooldownResult>} A promise that resolves to the cooldown.
+     */
+    async #getCooldown(clientId) {
+        const [client] = await Promise.all([
+            this.#getClient(clientId),
+            this.#loadConfig()
+        ]);
+        const entries = await this.#loadBPH(client);
+        const now = Date.now();
+        const limits = this.#getLimitState(client, entries, now);
+        const { cooldownUntil, limiter } = queryCooldown(now, this.#getPolicy(client.state, now), client.state, limits);
+        this.#saveClient(client);
+        return { now, cooldownUntil, limiter };
+    }
+
+    /**
+     * Pushes the unsynced boops of a client as a Boops per Hour (BPH) entry.
+     *
+     * @param {HubClient} client The client.
+     * @param {number} now The current timestamp.
+     * @param {boolean} [force=false] Whether to sync before the sync interval has passed.
+     * @returns {Promise<void>} A promise that resolves when the synchronization is complete.
+     */
+    async #syncBPH(client, now, force = false) {
+        const state = client.state;
+        if (state.unsyncedBPH === 0 || (!force && now - state.bphSyncedAt < this.#config.bphSyncInterval)) {
+            return;
+        }
+        const change = state.unsyncedBPH;
+        state.unsyncedBPH = 0;
+        state.bphSyncedAt = now;
+        this.#saveClient(client);
+        try {
+            const store = await this.#getStore();
+            /** @type {BPHEntry} */
+            const entry = [now + ONE_HOUR, change];
+            const key = await store.pushBPH(client.id, entry);
+            client.bph?.then((entries) => {
+                entries[key] = entry;
+            }, NOOP);
+        } catch (err) {
+            console.error(`[${this.#appName}] Failed to sync Boops per Hour (BPH) for client ${client.id}:`, err);
+            // Revert unsyncedBPH if sync fails
+            state.unsyncedBPH += change;
+            this.#saveClient(client);
+        }
+    }
+
+    /**
+     * Removes an expired Boops per Hour (BPH) entry from the store.
+     *
+     * @param {string} clientId The client ID.
+     * @param {string} key The key of the entry.
+     * @returns {void}
+     */
+    #removeBPH(clientId, key) {
+        this.#getStore().then((store) => store.removeBPH(clientId, key)).catch((err) => {
+            console.error(`[${this.#appName}] Failed to remove Boops per Hour (BPH) entry (${key}) for client ${clientId}:`, err);
+        });
+    }
+
+    /**
+     * Records a rejected boop, challenging the client once its boops have been rejected too often lately.
+     * The more often they are rejected, the harder the challenge.
+     *
+     * @param {HubClient} client The client.
+     * @param {number} now The current timestamp.
+     * @returns {Challenge | null} The challenge the client must solve, or null if it is not challenged.
+     */
+    #addRejection(client, now) {
+        const state = client.state;
+        const previous = state.rejections;
+        const score = (previous ? previous.score * 0.5 ** ((now - previous.updatedAt) / POW_SCORE_HALF_LIFE) : 0) + 1;
+        state.rejections = { score, updatedAt: now };
+        const { powThreshold, powDifficulty, powMaxDifficulty } = this.#config;
+        if (state.challenge || powThreshold === 0 || score < powThreshold) {
+            return state.challenge ?? null;
+        }
+        const difficulty = Math.min(powMaxDifficulty, powDifficulty + POW_DIFFICULTY_STEP * Math.floor(Math.log2(score / powThreshold)));
+        console.warn(`[${this.#appName}] Challenging client ${client.id} with difficulty ${difficulty} (rejection score ${score.toFixed(1)}).`);
+        return this.#challenge(client, now, difficulty);
+    }
+
+    /**
+     * Issues a proof of work challenge to a client, which cannot boop again until it is solved or dropped.
+     *
+     * @param {HubClient} client The client.
+     * @param {number} now The current timestamp.
+     * @param {number} difficulty The number of leading zero bits the solution hash must have.
+     * @returns {Challenge} The challenge.
+     */
+    #challenge(client, now, difficulty) {
+        client.state.challenge = { seed: crypto.randomUUID().replace(/-/g, ''), difficulty, issuedAt: now };
+        return client.state.challenge;
+    }
+
+    /**
+     * Records the time of a boop request and periodically analyzes the timing of the client.
+     *
+     * The rate limits only count boops, which a bot pacing itself just below them goes through.
+     * The timing is kept per client, so the boops of every connection and of the HTTP API feed it.
+     *
+     * @param {HubClient} client The client.
+     * @param {number} count The number of boops of the request.
+     * @param {number} now The current timestamp.
+     * @returns {void}
+     */
+    #recordBoopTiming(client, count, now) {
+        const timing = client.state.timing ??= createBoopTiming();
+        recordBoopTiming(timing, now, count);
+        if (timing.intervals.length < TIMING_MIN_SAMPLES || timing.sinceAnalysis < TIMING_ANALYZE_EVERY) {
+            return;
+        }
+        timing.sinceAnalysis = 0;
+        const report = analyzeBoopTiming(timing.intervals);
+        if (report.score >= this.#config.botScoreThreshold) {
+            this.#flagClient(client, report, now);
+        }
+    }
+
+    /**
+     * Flags a client whose boop timing looks automated. Depending on the config, flagged clients get
+     * lower rate limits until the flag is dropped, and must solve a challenge before booping again.
+     *
+     * @param {HubClient} client The client.
+     * @param {import('./boop-timing').TimingReport} report The timing analysis.
+     * @param {number} now The current timestamp.
+     * @returns {void}
+     */
+    #flagClient(client, report, now) {
+        const state = client.state;
+        if (!state.suspicion || now - state.suspicion.flaggedAt >= TIMING_FLAG_TTL) {
+            console.warn(`[${this.#appName}] Client ${client.id} boops like a bot (score ${report.score}):`, report);
+        }
+        state.suspicion = { score: report.score, flaggedAt: now };
+        if (this.#config.botChallenge === 1 && (!state.challenge || now - state.challenge.issuedAt >= POW_CHALLENGE_TTL)) {
+            const { difficulty } = this.#challenge(client, now, this.#config.powDifficulty);
+            console.warn(`[${this.#appName}] Challenging client ${client.id} with difficulty ${difficulty} (timing score ${report.score}).`);
+        }
+    }
+
+    /**
+     * Finds a boop ID among the boops recently answered in a session.
+     *
+     * @param {ClientState} state The client state.
+     * @param {string} session The session token.
+     * @param {number} boopId The boop or batch ID.
+     * @param {number} now The current timestamp.
+     * @returns {SessionBoop | null} The answer to the ID, or null if it was not answered lately.
+     */
+    #findSessionBoop(state, session, boopId, now) {
+        const boopSession = state.sessions?.[session];
+        if (!boopSession || now - boopSession.seenAt >= SESSION_TTL) {
+            return null;
+        }
+        return boopSession.boops.find(([id]) => id === boopId) ?? null;
+    }
+
+    /**
+     * Records the answer to a boop ID of a session, dropping the expired sessions and the oldest IDs and
+     * sessions past the limits.
+     *
+     * @param {ClientState} state The client state.
+     * @param {string} session The session token.
+     * @param {SessionBoop} boop The answer to the boop ID.
+     * @param {number} now The current timestamp.
+     * @returns {void}
+     */
+    #addSessionBoop(state, session, boop, now) {
+        const sessions = state.sessions ??= {};
+        for (const [token, boopSession] of Object.entries(sessions)) {
+            if (now - boopSession.seenAt >= SESSION_TTL) {
+                delete sessions[token];
+            }
+        }
+        const boopSession = sessions[session] ??= { seenAt: now, boops: [] };
+        boopSession.seenAt = now;
+        boopSession.boops.push(boop);
+        if (boopSession.boops.length > SESSION_MAX_BOOPS) {
+            boopSession.boops.shift();
+        }
+        const tokens = Object.keys(sessions);
+        if (tokens.length > SESSION_LIMIT) {
+            const oldest = tokens.reduce((a, b) => sessions[a].seenAt <= sessions[b].seenAt ? a : b);
+            delete sessions[oldest];
+        }
+    }
+
+    /**
+     * Gets the rate limit policy of a client, lowered while its boop timing is flagged.
+     *
+     * @param {ClientState} state The client state.
+     * @param {number} now The current timestamp.
+     * @returns {import('./rate-limit').Limiter[]} The rate limit policy.
+     */
+    #getPolicy(state, now) {
+        const flagged = state.suspicion != null && now - state.suspicion.flaggedAt < TIMING_FLAG_TTL;
+        return getRateLimitPolicy(this.#config, flagged ? this.#config.botLimitPercent : 100);
+    }
+
+    /**
+     * Checks the solution of the challenge of a client, letting it boop again if it is valid.
+     *
+     * @param {string} clientId The client ID.
+     * @param {string} seed The seed of the solved challenge.
+     * @param {number} counter The solution counter.
+     * @returns {Promise<boolean>} A promise that resolves to whether the solution is valid.
+     */
+    async #solveChallenge(clientId, seed, counter) {
+        const client = await this.#getClient(clientId);
+        const challenge = client.state.challenge;
+        if (!challenge || challenge.seed !== seed || !await isPowSolution(seed, counter, challenge.difficulty)) {
+            return false;
+        }
+        // Another connection of the client may have solved it in the meantime
+        if (client.state.challenge?.seed === seed) {
+            client.state.challenge = null;
+            client.state.cooldownFails = 0;
+            this.#saveClient(client);
+        }
+        return true;
+    }
+
+    /**
+     * Refreshes the runtime config, which is cached per isolate.
+     *
+     * @returns {Promise<void>}
+     */
+    async #loadConfig() {
+        this.#config = await getConfig(/** @type {Env} */(this.env));
+    }
+
+    /**
+     * Gets the Global Boops Count (GBC), including the boops not yet synced to the boop counter.
+     *
+     * @returns {number} The GBC value.
+     */
+    #getBoopCount() {
+        return this.#lastGBC + this.#inflightGBC + this.#unsyncedGBC;
+    }
+
+    /**
+     * Subscribes the hub to the boop counter if it is not subscribed yet.
+     *
+     * @returns {Promise<void>} A promise that resolves once the current count is known.
+     */
+    #subscribe() {
+        if (!this.#subscribePromise) {
+            const counter = getBoopCounter(/** @type {Env} */(this.env));
+            const subscribePromise = counter.subscribeHub(this.#name).then((count) => {
+                this.#lastGBC = count;
+            });
+            this.#subscribePromise = subscribePromise;
+            subscribePromise.catch(() => {
+                if (this.#subscribePromise === subscribePromise) {
+                    this.#subscribePromise = null;
+                }
+            });
+        }
+        return this.#subscribePromise;
+    }
+
+    /**
+     * Adds accepted boops to the Global Boops Count (GBC), syncing them to the boop counter shortly.
+     *
+     * @param {number} count The number of boops.
+     * @returns {void}
+     */
+    #addBoops(count) {
+        this.#unsyncedGBC += count;
+        this.#gbcSyncTimeout ??= setTimeout(() => this.#gbcSync(), this.#config.gbcSyncInterval);
+    }
+
+    /**
+     * Sends the unsynced Global Boops Count (GBC) to the boop counter.
+     *
+     * @returns {void}
+     */
+    #gbcSync() {
+        if (this.#gbcSyncTimeout != null) {
+            clearTimeout(this.#gbcSyncTimeout);
+            this.#gbcSyncTimeout = null;
+        }
+        const change = this.#unsyncedGBC;
+        if (change === 0) {
+            return;
+        }
+        this.#unsyncedGBC = 0;
+        this.#inflightGBC += change;
+        getBoopCounter(/** @type {Env} */(this.env)).add(change).then((count) => {
+            this.#inflightGBC -= change;
+            this.#lastGBC = count;
+        }, (err) => {
+            console.error(`[${this.#appName}] Failed to sync Global Boops Count (GBC):`, err);
+            this.#inflightGBC -= change;
+            this.#addBoops(change);
+        });
+    }
+
+    /**
+     * Schedules the alarm if it is not scheduled yet.
+     *
+     * @returns {Promise<void>}
+     */
+    async #ensureAlarm() {
+        if (this.#alarmScheduled) {
+            return;
+        }
+        this.#alarmScheduled = true;
+        if (await this.ctx.storage.getAlarm() == null) {
+            await this.ctx.storage.setAlarm(Date.now() + HUB_ALARM_INTERVAL);
+        }
+    }
+
+    /**
+     * Gets the initialized store, creating it if needed.
+     *
+     * @returns {Promise<import("./boop-store").BoopStore>} The store.
+     */
+    #getStore() {
+        if (!this.#storePromise) {
+            const store = createStore(/** @type {Env} */(this.env), this.#appName, this.#host);
+            this.#storePromise = store.init().then(() => store);
+            this.#storePromise.catch(() => {
+                this.#storePromise = null;
+            });
+        }
+        return this.#storePromise;
+    }
+}
+
+/**
+ * Creates the state of a client that has not booped yet.
+ *
+ * @param {number} now The current timestamp.
+ * @returns {ClientState} The state.
+ */
+function createClientState(now) {
+    return {
+        cooldownUntil: 0,
+        cooldownFails: 0,
+        cooldownLimiter: '',
+        bpm: createBPMRing(),
+        buckets: {},
+        unsyncedBPH: 0,
+        bphSyncedAt: now
+    };
+}
+
+/**
+ * Gets the name of the hub that hosts a client, so all its connections share a hub.
+ *
+ * @param {string} clientId The client ID.
+ * @returns {string} The hub name.
+ */
+function getHubName(clientId) {
+    // FNV-1a, good enough to spread the client IDs
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < clientId.length; i++) {
+        hash ^= clientId.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `hub-${(hash >>> 0) % HUB_SHARDS}`;
+}
+
+/**
+ * Gets the names of every hub.
+ *
+ * @returns {string[]} The hub names.
+ */
+function getHubNames() {
+    return Array.from({ length: HUB_SHARDS }, (_, shard) => `hub-${shard}`);
+}
+
+/**
+ * Gets a hub stub.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} name The hub name.
+ * @returns {DurableObjectStub<WellMaresHub>} The hub stub.
+ */
+function getHub(env, name) {
+    return env.WELLMARES_HUB.get(env.WELLMARES_HUB.idFromName(name));
+}
+
+export {
+    WellMaresHub,
+    getHubName,
+    getHubNames,
+    getHub
+};
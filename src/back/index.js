@@ -1,8 +1,17 @@
 // @ts-check
 /// <reference types="@cloudflare/workers-types" />
 import { WorkerEntrypoint } from "cloudflare:workers";
-import { WellMaresWSHandler } from "./ws-handler";
+import { getHub, getHubName } from "./hub";
 import { handleCron } from "./cron-handler";
+import { handleBoopRequest, handleChallengeRequest, handleCountRequest } from "./api-handler";
+import { handleEventsRequest } from "./sse-handler";
+import { handleAdminRequest } from "./admin-handler";
+import { findIpBan } from "./ip-bans";
+import { createBannedResponse, getClientId, getClientIp, isOriginAllowed } from "./utils";
+import { ADMIN_PATH_PREFIX, HUB_CLIENT_ID_HEADER, HUB_NAME_HEADER } from "./constants";
+
+export { BoopCounter } from "./boop-counter";
+export { WellMaresHub } from "./hub";
 
 /**
  * Put your custom environment variables and bindings you defined in the Dashboard and/or wrangler.toml here.
@@ -11,13 +20,18 @@ import { handleCron } from "./cron-handler";
  * @property {string} FIREBASE_CONFIG The Firebase configuration JSON string.
  * @property {string} FIREBASE_TOKEN_PREFIX The prefix for Firebase tokens.
  * @property {KVNamespace} FIREBASE_TOKEN_CACHE The Firebase token cache KV.
+ * @property {KVNamespace} CONFIG The runtime config KV, see {@link import('./config').getConfig}.
  * @property {Fetcher<import('../firebase-token-service').default>} FIREBASE_TOKEN_SERVICE The Firebase token service binding.
+ * @property {DurableObjectNamespace<import('./boop-counter').BoopCounter>} BOOP_COUNTER The boop counter Durable Object namespace.
+ * @property {DurableObjectNamespace<import('./hub').WellMaresHub>} WELLMARES_HUB The WebSocket hub Durable Object namespace.
+ * @property {string} CLIENT_ID_SECRET The secret client IDs are derived from, see {@link import('./utils').getClientId}.
+ * @property {string} [ALLOWED_ORIGINS] The origins allowed to open WebSockets besides the worker's own, see {@link import('./utils').isOriginAllowed}.
+ * @property {string} [ADMIN_SECRET] The bearer secret of the admin API, the API refuses every request if unset.
+ * @property {string} [CLIENT_ID_ROTATION_HOURS] The client ID rotation period in hours, unset or 0 to never rotate.
+ * Client bans end with the period, see {@link import('./utils').getClientIdRotationPeriod}.
+ * @property {'firebase' | 'memory'} [STORAGE_BACKEND] The storage backend, `memory` runs without Firebase (e.g. `vite dev` offline). Defaults to `firebase`.
  */
 
-// Constants for WebSocket pair indices
-const CLIENT = 0;
-const SERVER = 1;
-
 /**
  * @type {WorkerEntrypoint<Env>}
  */
@@ -36,11 +50,31 @@ export default class WellMaresWSServer extends WorkerEntrypoint {
             return this.#handleWebSocket(request);
         }
 
+        if (url.pathname === "/events") {
+            return handleEventsRequest(this.env, this.ctx, request);
+        }
+
+        if (url.pathname === "/api/count") {
+            return handleCountRequest(this.env, this.ctx, request);
+        }
+
+        if (url.pathname === "/api/boop") {
+            return handleBoopRequest(this.env, request);
+        }
+
+        if (url.pathname === "/api/challenge") {
+            return handleChallengeRequest(this.env, request);
+        }
+
+        if (url.pathname.startsWith(ADMIN_PATH_PREFIX)) {
+            return handleAdminRequest(this.env, request);
+        }
+
         return new Response(null, { status: 404 });
     }
 
     /**
-     * Handles WebSocket requests.
+     * Handles WebSocket requests by forwarding them to the hub of the client.
      * 
      * @param {Request} request The incoming request.
      * @returns {Promise<Response>} The response to be sent back to the client.
@@ -50,21 +84,30 @@ export default class WellMaresWSServer extends WorkerEntrypoint {
         if (upgradeHeader !== "websocket") {
             return new Response("Expected WebSocket Upgrade", { status: 426 });
         }
-        const pair = new WebSocketPair();
+        if (!isOriginAllowed(request, this.env.ALLOWED_ORIGINS)) {
+            console.warn("Rejected a WebSocket upgrade from a disallowed origin:", { origin: request.headers.get("Origin") });
+            return new Response("Origin Not Allowed", { status: 403 });
+        }
+        const ip = getClientIp(request) || 'default';
+        if (ip === 'default') {
+            console.warn("No IP address found in request headers, using 'default' as fallback.");
+        }
+
         try {
-            const webSocketHandler = new WellMaresWSHandler(this.env, request, pair[SERVER]);
-            // Give the WebSocket handler access our waitUntil method
-            webSocketHandler.waitUntil = (promise) => {
-                this.ctx.waitUntil(promise);
-            };
-            await webSocketHandler.init();
+            const ipBan = await findIpBan(this.env, ip);
+            if (ipBan) {
+                return createBannedResponse(request, ipBan.bannedUntil);
+            }
+            const clientId = await getClientId(this.env, ip);
+            const hubName = getHubName(clientId);
+            const headers = new Headers(request.headers);
+            headers.set(HUB_NAME_HEADER, hubName);
+            headers.set(HUB_CLIENT_ID_HEADER, clientId);
+            return await getHub(this.env, hubName).fetch(new Request(request, { headers }));
         } catch (error) {
             console.error("Error in WebSocket handler:", error);
+            return new Response(null, { status: 500 });
         }
-        return new Response(null, {
-            status: 101,
-            webSocket: pair[CLIENT],
-        });
     }
 
     /**
@@ -0,0 +1,148 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { parseIp, isIpInRange } from "./utils";
+import {
+    IP_BANS_KEY,
+    IP_BANS_REFRESH_INTERVAL
+} from "./constants";
+
+/** @typedef {import('./index').Env} Env */
+
+/**
+ * A ban of an IP range, issued by an admin.
+ *
+ * IP ranges are banned apart from client IDs, as client IDs cannot be traced back to IP addresses.
+ * @typedef {Object} IpBan
+ * @property {string} range The banned range in CIDR notation, or a single IP address.
+ * @property {number} bannedAt The time of the ban.
+ * @property {number} bannedUntil The time the ban expires.
+ * @property {string} [reason] The reason given by the admin.
+ */
+
+/**
+ * The ban list cache, shared by every handler of the isolate.
+ */
+const cache = {
+    /** @type {Array<{ ban: IpBan, range: import('./utils').ParsedIp }>} */
+    bans: [],
+    loadedAt: 0,
+    /** @type {Promise<void> | null} */
+    loading: null
+};
+
+/**
+ * Reads the ban list from KV, dropping the invalid and expired bans.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {Promise<IpBan[]>} A promise that resolves to the bans.
+ */
+async function readIpBans(env) {
+    const stored = await env.CONFIG.get(IP_BANS_KEY, 'json');
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+    const now = Date.now();
+    return stored.filter((ban) => ban != null && typeof ban.range === 'string' &&
+        typeof ban.bannedUntil === 'number' && ban.bannedUntil > now && parseIp(ban.range) != null);
+}
+
+/**
+ * Replaces the cached ban list.
+ *
+ * @param {IpBan[]} bans The bans.
+ * @returns {void}
+ */
+function setCachedIpBans(bans) {
+    cache.bans = bans.map((ban) => ({ ban, range: /** @type {import('./utils').ParsedIp} */ (parseIp(ban.range)) }));
+    cache.loadedAt = Date.now();
+}
+
+/**
+ * Finds the ban of an IP address, refreshing the ban list from KV once per refresh interval.
+ * Fails open, as a ban list that cannot be read must not lock every client out.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} ip The IP address of the client.
+ * @returns {Promise<IpBan | null>} A promise that resolves to the active ban covering the address, or null.
+ */
+async function findIpBan(env, ip) {
+    if (Date.now() - cache.loadedAt >= IP_BANS_REFRESH_INTERVAL) {
+        cache.loading ??= readIpBans(env).then(setCachedIpBans, (err) => {
+            console.error(`Failed to load the IP bans, keeping the current ones:`, err);
+            cache.loadedAt = Date.now();
+        }).finally(() => {
+            cache.loading = null;
+        });
+        await cache.loading;
+    }
+    const parsed = parseIp(ip);
+    if (!parsed) {
+        return null;
+    }
+    const now = Date.now();
+    return cache.bans.find(({ ban, range }) => ban.bannedUntil > now && isIpInRange(parsed, range))?.ban ?? null;
+}
+
+/**
+ * Gets the active bans.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {Promise<IpBan[]>} A promise that resolves to the bans.
+ */
+async function getIpBans(env) {
+    const bans = await readIpBans(env);
+    setCachedIpBans(bans);
+    return bans;
+}
+
+/**
+ * Bans an IP range, replacing any ban of the same range.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {IpBan} ban The ban, its range must be valid.
+ * @returns {Promise<void>}
+ */
+async function addIpBan(env, ban) {
+    const key = parseIp(ban.range);
+    const bans = (await readIpBans(env)).filter((other) => !isSameRange(parseIp(other.range), key));
+    bans.push(ban);
+    await env.CONFIG.put(IP_BANS_KEY, JSON.stringify(bans));
+    setCachedIpBans(bans);
+}
+
+/**
+ * Lifts the ban of an IP range.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} range The banned range.
+ * @returns {Promise<boolean>} A promise that resolves to whether the range was banned.
+ */
+async function removeIpBan(env, range) {
+    const key = parseIp(range);
+    const bans = await readIpBans(env);
+    const remaining = bans.filter((other) => !isSameRange(parseIp(other.range), key));
+    if (remaining.length === bans.length) {
+        return false;
+    }
+    await env.CONFIG.put(IP_BANS_KEY, JSON.stringify(remaining));
+    setCachedIpBans(remaining);
+    return true;
+}
+
+/**
+ * Checks whether two parsed ranges are the same, whatever their notation.
+ *
+ * @param {import('./utils').ParsedIp | null} a The first range.
+ * @param {import('./utils').ParsedIp | null} b The second range.
+ * @returns {boolean} Whether the ranges are the same.
+ */
+function isSameRange(a, b) {
+    return a != null && b != null && a.version === b.version && a.prefixLength === b.prefixLength && a.value === b.value;
+}
+
+export {
+    findIpBan,
+    getIpBans,
+    addIpBan,
+    removeIpBan
+};
@@ -0,0 +1,171 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { BoopStore } from "./boop-store";
+
+/** @typedef {import('./boop-store').BPHEntry} BPHEntry */
+
+/**
+ * State shared by every in-memory store of the isolate.
+ */
+const memory = {
+    count: 0,
+    lastKey: 0,
+    /** @type {Map<string, Map<string, BPHEntry>>} */
+    bph: new Map(),
+    /** @type {Set<(count: number) => void>} */
+    countListeners: new Set(),
+    /** @type {Map<string, Set<(key: string, entry: BPHEntry) => void>>} */
+    bphAddedListeners: new Map(),
+    /** @type {Map<string, Set<(key: string) => void>>} */
+    bphRemovedListeners: new Map(),
+};
+
+/**
+ * Adds a listener to a per-client listener set.
+ *
+ * @template {Function} T
+ * @param {Map<string, Set<T>>} listeners The listener sets by client ID.
+ * @param {string} clientId The client ID.
+ * @param {T} callback The listener to add.
+ * @return {() => void} A function that removes the listener.
+ */
+function addClientListener(listeners, clientId, callback) {
+    let set = listeners.get(clientId);
+    if (!set) {
+        set = new Set();
+        listeners.set(clientId, set);
+    }
+    set.add(callback);
+    return () => {
+        set.delete(callback);
+        if (set.size === 0 && listeners.get(clientId) === set) {
+            listeners.delete(clientId);
+        }
+    };
+}
+
+/**
+ * Isolate-local storage backend, for running without Firebase.
+ * Data is lost when the isolate is evicted.
+ */
+class MemoryStore extends BoopStore {
+    /** @override */
+    async init() { }
+
+    /** @override */
+    async close() { }
+
+    /** @override */
+    async getCount() {
+        return memory.count;
+    }
+
+    /**
+     * @override
+     * @param {number} delta The number of boops to add.
+     */
+    async incrementCount(delta) {
+        memory.count += delta;
+        const count = memory.count;
+        memory.countListeners.forEach((callback) => callback(count));
+    }
+
+    /**
+     * @override
+     * @param {(count: number) => void} callback The callback to invoke.
+     */
+    onCountChange(callback) {
+        memory.countListeners.add(callback);
+        queueMicrotask(() => {
+            if (memory.countListeners.has(callback)) {
+                callback(memory.count);
+            }
+        });
+        return () => {
+            memory.countListeners.delete(callback);
+        };
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     */
+    async getBPH(clientId) {
+        return Object.fromEntries(memory.bph.get(clientId) ?? []);
+    }
+
+    /** @override */
+    async getAllBPH() {
+        /** @type {Record<string, unknown>} */
+        const all = {};
+        for (const [clientId, entries] of memory.bph) {
+            all[clientId] = Object.fromEntries(entries);
+        }
+        return all;
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {BPHEntry} entry The entry to add.
+     */
+    async pushBPH(clientId, entry) {
+        const key = `m${(++memory.lastKey).toString(36)}`;
+        let entries = memory.bph.get(clientId);
+        if (!entries) {
+            entries = new Map();
+            memory.bph.set(clientId, entries);
+        }
+        entries.set(key, entry);
+        memory.bphAddedListeners.get(clientId)?.forEach((callback) => callback(key, entry));
+        return key;
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {string} [key] The key of the entry to remove.
+     */
+    async removeBPH(clientId, key) {
+        const entries = memory.bph.get(clientId);
+        if (!entries) {
+            return;
+        }
+        const keys = key == null ? [...entries.keys()] : [key];
+        for (const k of keys) {
+            if (entries.delete(k)) {
+                memory.bphRemovedListeners.get(clientId)?.forEach((callback) => callback(k));
+            }
+        }
+        if (entries.size === 0) {
+            memory.bph.delete(clientId);
+        }
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {(key: string, entry: BPHEntry) => void} callback The callback to invoke.
+     */
+    onBPHAdded(clientId, callback) {
+        const off = addClientListener(memory.bphAddedListeners, clientId, callback);
+        const existing = [...(memory.bph.get(clientId) ?? [])];
+        queueMicrotask(() => {
+            for (const [key, entry] of existing) {
+                callback(key, entry);
+            }
+        });
+        return off;
+    }
+
+    /**
+     * @override
+     * @param {string} clientId The client ID.
+     * @param {(key: string) => void} callback The callback to invoke.
+     */
+    onBPHRemoved(clientId, callback) {
+        return addClientListener(memory.bphRemovedListeners, clientId, callback);
+    }
+}
+
+export { MemoryStore };
@@ -0,0 +1,371 @@
+// @ts-check
+
+import {
+    ONE_SECOND,
+    ONE_MINUTE,
+    ONE_HOUR,
+    BPH_VALID_UNTIL,
+    BPH_CHANGE,
+    BPH_LIMITER,
+    BPM_LIMITER
+} from "./constants";
+
+/**
+ * @typedef {Object} BoopLimitState
+ * @property {Record<string, [number, number]>} bph The Boops per Hour (BPH) entries.
+ * @property {number} bphSum The sum of the BPH entries, including the unsynced boops.
+ * @property {number[]} bpmBoops The Boops per Minute (BPM) timestamps, oldest first.
+ */
+
+/**
+ * Rate limiting state of a client, shared by all its connections.
+ * @typedef {Object} ClientLimitState
+ * @property {number} cooldownUntil The cooldown until timestamp, or 0 if not in cooldown.
+ * @property {number} cooldownFails The number of consecutive boops attempted during a known cooldown.
+ * @property {string} [cooldownLimiter] The name of the limiter that caused the cooldown.
+ * @property {BPMRing} bpm The Boops per Minute (BPM) window.
+ * @property {Record<string, TokenBucketState>} [buckets] The token buckets by limiter name.
+ */
+
+/**
+ * State of a token bucket.
+ * @typedef {Object} TokenBucketState
+ * @property {number} tokens The tokens left at `updatedAt`.
+ * @property {number} updatedAt The time the bucket was last refilled.
+ */
+
+/**
+ * Status of a limiter for a client.
+ * @typedef {Object} LimiterStatus
+ * @property {string} name The limiter name.
+ * @property {number} limit The number of boops allowed per window, or the bucket capacity.
+ * @property {number} window The window in milliseconds, or the time to refill an empty bucket.
+ * @property {number} remaining The number of boops allowed right now.
+ * @property {number} retryAt The time at least one boop is allowed again, the current time if `remaining` is not 0.
+ * @property {number} resetAt The time the limiter is fully refilled.
+ */
+
+/**
+ * A limiter of a rate limit policy. A policy is a list of limiters that must all allow a boop.
+ * @typedef {Object} Limiter
+ * @property {string} name The limiter name, reported to clients.
+ * @property {(now: number, client: ClientLimitState, limits: BoopLimitState) => LimiterStatus} getStatus Gets the status of the limiter for a client.
+ * @property {(now: number, client: ClientLimitState, limits: BoopLimitState) => void} [consume] Records an accepted boop.
+ */
+
+/**
+ * The decision of a rate limit policy.
+ * @typedef {Object} RateLimitDecision
+ * @property {number} cooldownUntil The timestamp until which the client is in cooldown, or 0 if the boop is allowed.
+ * @property {string | null} limiter The name of the limiter that caused the cooldown.
+ * @property {LimiterStatus[]} limiters The status of every limiter.
+ */
+
+/**
+ * Boops per Minute (BPM) window stored as one boop count per second,
+ * compact enough to live in a WebSocket attachment.
+ * @typedef {Object} BPMRing
+ * @property {number} second The second (since epoch) of the latest slot.
+ * @property {number[]} slots The boop counts, indexed by second modulo the number of slots.
+ */
+
+const BPM_RING_SLOTS = ONE_MINUTE / ONE_SECOND;
+
+/**
+ * Creates an empty Boops per Minute (BPM) ring.
+ *
+ * @return {BPMRing} The ring.
+ */
+function createBPMRing() {
+    return { second: 0, slots: new Array(BPM_RING_SLOTS).fill(0) };
+}
+
+/**
+ * Clears the slots of a Boops per Minute (BPM) ring that fell out of the window.
+ *
+ * @param {BPMRing} ring The ring.
+ * @param {number} now The current timestamp.
+ * @return {number} The current second.
+ */
+function advanceBPMRing(ring, now) {
+    const second = Math.floor(now / ONE_SECOND);
+    const gap = Math.min(second - ring.second, BPM_RING_SLOTS);
+    for (let i = 1; i <= gap; i++) {
+        ring.slots[(ring.second + i) % BPM_RING_SLOTS] = 0;
+    }
+    ring.second = Math.max(ring.second, second);
+    return second;
+}
+
+/**
+ * Records boops in a Boops per Minute (BPM) ring.
+ *
+ * @param {BPMRing} ring The ring.
+ * @param {number} now The current timestamp.
+ * @param {number} [count=1] The number of boops.
+ * @return {void}
+ */
+function addToBPMRing(ring, now, count = 1) {
+    const second = advanceBPMRing(ring, now);
+    ring.slots[second % BPM_RING_SLOTS] += count;
+}
+
+/**
+ * Expands a Boops per Minute (BPM) ring into boop timestamps, oldest first.
+ * Each boop is stamped with the start of its second.
+ *
+ * @param {BPMRing} ring The ring.
+ * @param {number} now The current timestamp.
+ * @return {number[]} The boop timestamps.
+ */
+function getBPMRingTimestamps(ring, now) {
+    const second = advanceBPMRing(ring, now);
+    /** @type {number[]} */
+    const timestamps = [];
+    for (let s = second - BPM_RING_SLOTS + 1; s <= second; s++) {
+        const count = ring.slots[((s % BPM_RING_SLOTS) + BPM_RING_SLOTS) % BPM_RING_SLOTS];
+        for (let i = 0; i < count; i++) {
+            timestamps.push(s * ONE_SECOND);
+        }
+    }
+    return timestamps;
+}
+
+/**
+ * Creates the Boops per Hour (BPH) limiter, backed by the persisted BPH entries.
+ *
+ * @param {number} limit The number of boops allowed per hour.
+ * @return {Limiter} The limiter.
+ */
+function createBPHLimiter(limit) {
+    return {
+        name: BPH_LIMITER,
+        getStatus(now, client, limits) {
+            const entries = Object.values(limits.bph).sort((a, b) => a[BPH_VALID_UNTIL] - b[BPH_VALID_UNTIL]);
+            const entriesSum = entries.reduce((sum, entry) => sum + entry[BPH_CHANGE], 0);
+            let retryAt = now;
+            if (limits.bphSum >= limit) {
+                let virtualBPH = limits.bphSum;
+                // Virtually remove boop packs until we are below the limit
+                for (const entry of entries) {
+                    retryAt = Math.max(now, entry[BPH_VALID_UNTIL]);
+                    virtualBPH -= entry[BPH_CHANGE];
+                    if (virtualBPH < limit) {
+                        break;
+                    }
+                }
+                if (virtualBPH >= limit) {
+                    // The unsynced boops alone are above the limit, they expire within the hour
+                    retryAt = now + ONE_HOUR;
+                }
+            }
+            let resetAt = now;
+            if (limits.bphSum > entriesSum) {
+                resetAt = now + ONE_HOUR;
+            } else if (entries.length) {
+                resetAt = entries[entries.length - 1][BPH_VALID_UNTIL];
+            }
+            return {
+                name: BPH_LIMITER,
+                limit,
+                window: ONE_HOUR,
+                remaining: Math.max(0, limit - limits.bphSum),
+                retryAt,
+                resetAt
+            };
+        },
+        consume(now, client, limits) {
+            limits.bphSum++;
+        }
+    };
+}
+
+/**
+ * Creates the Boops per Minute (BPM) limiter, backed by the BPM ring of the client.
+ *
+ * @param {number} limit The number of boops allowed per minute.
+ * @return {Limiter} The limiter.
+ */
+function createBPMLimiter(limit) {
+    return {
+        name: BPM_LIMITER,
+        getStatus(now, client, limits) {
+            // Remove all boops older than one minute
+            const boops = limits.bpmBoops.filter((timestamp) => now - timestamp < ONE_MINUTE);
+            limits.bpmBoops = boops;
+            return {
+                name: BPM_LIMITER,
+                limit,
+                window: ONE_MINUTE,
+                remaining: Math.max(0, limit - boops.length),
+                // Enough of the oldest boops have to expire to get below the limit
+                retryAt: boops.length >= limit ? boops[boops.length - limit] + ONE_MINUTE : now,
+                resetAt: boops.length ? boops[boops.length - 1] + ONE_MINUTE : now
+            };
+        },
+        consume(now, client, limits) {
+            addToBPMRing(client.bpm, now);
+            limits.bpmBoops.push(now);
+        }
+    };
+}
+
+/**
+ * Refills a token bucket up to the current time.
+ *
+ * @param {TokenBucketState | undefined} bucket The bucket, or undefined for a new bucket, which starts full.
+ * @param {number} now The current timestamp.
+ * @param {number} capacity The maximum number of tokens.
+ * @param {number} rate The number of tokens added per second.
+ * @return {TokenBucketState} The refilled bucket.
+ */
+function refillTokenBucket(bucket, now, capacity, rate) {
+    bucket ??= { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * rate / ONE_SECOND);
+    bucket.updatedAt = now;
+    return bucket;
+}
+
+/**
+ * Creates a token bucket limiter, allowing bursts up to the bucket capacity
+ * while refilling at a steady rate.
+ *
+ * @param {string} name The limiter name, also the key of its bucket in the client state.
+ * @param {number} capacity The maximum number of tokens, i.e. the burst size.
+ * @param {number} rate The number of tokens added per second.
+ * @return {Limiter} The limiter.
+ */
+function createTokenBucketLimiter(name, capacity, rate) {
+    /**
+     * Refills the bucket of a client up to the current time.
+     *
+     * @param {number} now The current timestamp.
+     * @param {ClientLimitState} client The rate limiting state of the client.
+     * @return {TokenBucketState} The bucket.
+     */
+    const refill = (now, client) => {
+        client.buckets ??= {};
+        const bucket = refillTokenBucket(client.buckets[name], now, capacity, rate);
+        client.buckets[name] = bucket;
+        return bucket;
+    };
+
+    return {
+        name,
+        getStatus(now, client) {
+            const { tokens } = refill(now, client);
+            return {
+                name,
+                limit: capacity,
+                window: Math.ceil(capacity * ONE_SECOND / rate),
+                remaining: Math.floor(tokens),
+                retryAt: tokens >= 1 ? now : now + Math.ceil((1 - tokens) * ONE_SECOND / rate),
+                resetAt: now + Math.ceil((capacity - tokens) * ONE_SECOND / rate)
+            };
+        },
+        consume(now, client) {
+            refill(now, client).tokens -= 1;
+        }
+    };
+}
+
+/**
+ * Evaluates every limiter of a policy.
+ *
+ * When several limiters reject, the one that stays closed the longest is reported.
+ *
+ * @param {number} now The current timestamp.
+ * @param {Limiter[]} policy The rate limit policy.
+ * @param {ClientLimitState} client The rate limiting state of the client.
+ * @param {BoopLimitState} limits The boop limit state of the client.
+ * @return {RateLimitDecision} The decision.
+ */
+function evaluatePolicy(now, policy, client, limits) {
+    const statuses = policy.map((limiter) => limiter.getStatus(now, client, limits));
+    /** @type {RateLimitDecision} */
+    const decision = { cooldownUntil: 0, limiter: null, limiters: statuses };
+    for (const status of statuses) {
+        if (status.remaining === 0 && status.retryAt > decision.cooldownUntil) {
+            decision.cooldownUntil = status.retryAt;
+            decision.limiter = status.name;
+        }
+    }
+    return decision;
+}
+
+/**
+ * Attempts a boop against the rate limit policy, recording it in every limiter if accepted.
+ *
+ * @param {number} now The current timestamp.
+ * @param {Limiter[]} policy The rate limit policy.
+ * @param {ClientLimitState} client The rate limiting state of the client, updated in place.
+ * @param {BoopLimitState} limits The boop limit state of the client, updated in place.
+ * @return {RateLimitDecision} The decision, with the limiter status after the boop if it was accepted.
+ */
+function attemptBoop(now, policy, client, limits) {
+    if (client.cooldownUntil !== 0) {
+        if (now < client.cooldownUntil) {
+            client.cooldownFails++;
+            const decision = evaluatePolicy(now, policy, client, limits);
+            decision.cooldownUntil = client.cooldownUntil;
+            decision.limiter = client.cooldownLimiter || null;
+            return decision;
+        }
+        client.cooldownUntil = 0;
+        client.cooldownLimiter = '';
+    }
+
+    const decision = evaluatePolicy(now, policy, client, limits);
+    if (decision.cooldownUntil !== 0) {
+        client.cooldownUntil = decision.cooldownUntil;
+        client.cooldownLimiter = decision.limiter ?? '';
+        return decision;
+    }
+
+    client.cooldownFails = 0;
+    for (const limiter of policy) {
+        limiter.consume?.(now, client, limits);
+    }
+    // The boop went through, even if it used up the last token of a limiter: report the refreshed
+    // statuses but leave the cooldown to the next attempt.
+    const accepted = evaluatePolicy(now, policy, client, limits);
+    accepted.cooldownUntil = 0;
+    accepted.limiter = null;
+    return accepted;
+}
+
+/**
+ * Gets the cooldown of a client without booping.
+ *
+ * @param {number} now The current timestamp.
+ * @param {Limiter[]} policy The rate limit policy.
+ * @param {ClientLimitState} client The rate limiting state of the client, updated in place.
+ * @param {BoopLimitState} limits The boop limit state of the client.
+ * @return {RateLimitDecision} The decision.
+ */
+function queryCooldown(now, policy, client, limits) {
+    const decision = evaluatePolicy(now, policy, client, limits);
+    if (client.cooldownUntil !== 0) {
+        if (now < client.cooldownUntil) {
+            decision.cooldownUntil = client.cooldownUntil;
+            decision.limiter = client.cooldownLimiter || null;
+            return decision;
+        }
+        client.cooldownUntil = 0;
+        client.cooldownLimiter = '';
+    }
+    client.cooldownUntil = decision.cooldownUntil;
+    client.cooldownLimiter = decision.limiter ?? '';
+    return decision;
+}
+
+export {
+    createBPHLimiter,
+    createBPMLimiter,
+    createTokenBucketLimiter,
+    createBPMRing,
+    getBPMRingTimestamps,
+    refillTokenBucket,
+    attemptBoop,
+    queryCooldown
+};
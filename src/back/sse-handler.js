@@ -0,0 +1,105 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { subscribeToBoopCounter } from "./boop-counter";
+import { withCors } from "./api-handler";
+import {
+    SSE_KEEP_ALIVE_INTERVAL,
+    SSE_RETRY
+} from "./constants";
+import { SSE_BOOP_COUNT_EVENT } from "../shared/protocol";
+
+/** @typedef {import('./index').Env} Env */
+
+const NOOP = () => { };
+
+/**
+ * Handles requests to the Server-Sent Events endpoint (`/events`).
+ *
+ * Streams the Global Boops Count (GBC) to clients that cannot use WebSockets.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {ExecutionContext} ctx The execution context of the request.
+ * @param {Request} request The incoming request.
+ * @returns {Response} The response to be sent back to the client.
+ */
+function handleEventsRequest(env, ctx, request) {
+    const methods = 'GET, OPTIONS';
+    if (request.method === 'OPTIONS') {
+        return withCors(new Response(null, { status: 204 }), methods);
+    }
+    if (request.method !== 'GET') {
+        return withCors(new Response(null, { status: 405, headers: { 'Allow': methods } }), methods);
+    }
+
+    const appName = `WM-${crypto.randomUUID()}`;
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    /** @type {WebSocket | null} */
+    let counterWs = null;
+    let keepAliveInterval = /** @type {NodeJS.Timeout | number | null} */ (null);
+    let lastGBC = -1;
+    let closed = false;
+
+    const close = async () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        counterWs?.close();
+        if (keepAliveInterval != null) {
+            clearInterval(keepAliveInterval);
+        }
+        await writer.close().catch(NOOP);
+    };
+
+    /**
+     * Writes a chunk to the stream, closing it if the client has gone away.
+     *
+     * @param {string} chunk The chunk to write.
+     * @returns {void}
+     */
+    const write = (chunk) => {
+        if (closed) {
+            return;
+        }
+        writer.write(encoder.encode(chunk)).catch(() => {
+            ctx.waitUntil(close());
+        });
+    };
+
+    const start = async () => {
+        write(`retry: ${SSE_RETRY}\n\n`);
+        keepAliveInterval = setInterval(() => write(':\n\n'), SSE_KEEP_ALIVE_INTERVAL);
+
+        counterWs = await subscribeToBoopCounter(env, (val) => {
+            if (val === lastGBC) {
+                return; // No change
+            }
+            lastGBC = val;
+            write(`event: ${SSE_BOOP_COUNT_EVENT}\ndata: ${val}\n\n`);
+        });
+        counterWs.addEventListener('close', () => {
+            ctx.waitUntil(close());
+        });
+        if (closed) {
+            counterWs.close();
+        }
+    };
+
+    start().catch((err) => {
+        console.error(`[${appName}] Failed to start the event stream:`, err);
+        ctx.waitUntil(close());
+    });
+
+    return withCors(new Response(readable, {
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'X-Accel-Buffering': 'no'
+        }
+    }), methods);
+}
+
+export { handleEventsRequest };
@@ -0,0 +1,53 @@
+// @ts-check
+/// <reference types="@cloudflare/workers-types" />
+import { FirebaseStore } from "./firebase-store";
+import { MemoryStore } from "./memory-store";
+
+/** @typedef {import('./index').Env} Env */
+/** @typedef {import('./boop-store').BoopStore} BoopStore */
+
+/**
+ * Creates the storage backend selected by the `STORAGE_BACKEND` binding.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} appName The name used for the store instance and as the log prefix.
+ * @param {string} [host] The host of the request, used by backends that cache credentials per colo.
+ * @returns {BoopStore} The uninitialized store.
+ */
+function createStore(env, appName, host) {
+    switch (env.STORAGE_BACKEND ?? 'firebase') {
+        case 'firebase':
+            return new FirebaseStore(env, appName, host);
+        case 'memory':
+            return new MemoryStore();
+    }
+    throw new Error(`Unknown storage backend: ${env.STORAGE_BACKEND}`);
+}
+
+/**
+ * Runs a callback with an initialized store, closing it afterwards.
+ *
+ * @template T
+ * @param {Env} env The environment variables and bindings.
+ * @param {(store: BoopStore, appName: string) => Promise<T>} callback The callback to run.
+ * @returns {Promise<T>} A promise that resolves to the result of the callback.
+ */
+async function withStore(env, callback) {
+    const appName = `WM-${crypto.randomUUID()}`;
+    const store = createStore(env, appName);
+    try {
+        await store.init();
+        return await callback(store, appName);
+    } finally {
+        try {
+            await store.close();
+        } catch (err) {
+            console.error(`[${appName}] Error closing the store:`, err);
+        }
+    }
+}
+
+export {
+    createStore,
+    withStore
+};
@@ -1,6 +1,22 @@
 // @ts-check
+/// <reference types="@cloudflare/workers-types" />
 
-import { BPH_CHANGE, BPH_VALID_UNTIL } from "./constants";
+import {
+    ONE_HOUR,
+    BPH_CHANGE,
+    BPH_VALID_UNTIL,
+    FB_TOKEN_TTL,
+    FB_TOKEN_TTL_S,
+    FB_TOKEN_CLOSE_CALL_THRESHOLD,
+    CLIENT_ID_PREFIX,
+    CLIENT_ID_BYTES,
+    LOCALHOST_HOSTNAMES
+} from "./constants";
+import { getConfig } from "./config";
+import { BANNED_ERRCODE, BANNED_ERRMSG } from "../shared/protocol";
+import { BINARY_SUBPROTOCOL } from "../shared/binary-protocol";
+
+/** @typedef {import('./index').Env} Env */
 
 /**
  * @typedef {Object} TokenData
@@ -37,7 +53,423 @@ function isValidBPHEntry(val) {
         !isNaN(val[BPH_VALID_UNTIL]) && typeof val[BPH_CHANGE] === 'number';
 }
 
+/**
+ * Gets a Firebase custom token for the specified user ID.
+ * 
+ * The token is cached in KV and, when a host is given, in the Cache API of the colo.
+ * 
+ * @param {string} appName The name of the Firebase app instance.
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} uid The user ID for which to generate the token.
+ * @param {string} [host] The host of the request, used for the Cache API key.
+ * @returns {Promise<string>} A promise that resolves to the custom token.
+ */
+async function getToken(appName, env, uid, host) {
+    const tokenKey = `firebase_token:${env.FIREBASE_TOKEN_PREFIX}:${uid}`;
+    const cacheKey = host ? new Request(`https://${host}/${env.FIREBASE_TOKEN_PREFIX}/${uid}/token`) : null;
+    const cache = caches.default;
+    const now = Date.now();
+
+    if (cacheKey) {
+        const cacheResp = await cache.match(cacheKey).catch((err) => {
+            console.error(`[${appName}] Firebase token cache match error:`, err);
+            return null;
+        });
+
+        if (cacheResp) {
+            const cachedValue = await cacheResp.json().catch((err) => {
+                console.error(`[${appName}] Firebase token cache JSON parse error:`, err);
+                return null;
+            });
+
+            if (isTokenData(cachedValue) && cachedValue.expiresAt > now + FB_TOKEN_CLOSE_CALL_THRESHOLD) {
+                console.info(`[${appName}] Firebase token cache hit for UID: ${uid}`);
+                return cachedValue.token;
+            }
+
+            await cache.delete(cacheKey).catch((err) => {
+                console.error(`[${appName}] Firebase token cache delete error:`, err);
+            });
+        }
+
+        console.info(`[${appName}] Firebase token cache miss or expired, checking KV...`);
+    }
+
+    const kvResp = await env.FIREBASE_TOKEN_CACHE.get(tokenKey, "json").catch((err) => {
+        console.error(`[${appName}] Firebase token KV get error:`, err);
+        return null;
+    });
+    /** @type {string | null} */
+    let token = null;
+    let expiresAt = 0;
+
+    if (isTokenData(kvResp) && kvResp.expiresAt > now + FB_TOKEN_CLOSE_CALL_THRESHOLD) {
+        token = kvResp.token;
+        expiresAt = kvResp.expiresAt;
+    } else {
+        console.info(`[${appName}] Firebase token KV miss or expired, generating new token for UID: ${uid}`);
+        token = await env.FIREBASE_TOKEN_SERVICE.generateToken(uid).catch((err) => {
+            console.error(`[${appName}] Firebase token generation error for UID ${uid}:`, err);
+            return null;
+        });
+        if (token === null) {
+            throw new Error(`Failed to generate token for UID: ${uid}`);
+        }
+        expiresAt = now + FB_TOKEN_TTL;
+
+        await env.FIREBASE_TOKEN_CACHE.put(
+            tokenKey,
+            JSON.stringify({ token, expiresAt }),
+            { expirationTtl: FB_TOKEN_TTL_S }
+        ).catch((err) => {
+            console.error(`[${appName}] Firebase token KV put error for UID ${uid}:`, err);
+            // If we fail to store the token in KV, we still return the token
+            // but it won't be cached for future requests.
+        });
+    }
+
+    if (cacheKey) {
+        const ttl = Math.floor((expiresAt - now) / 1000);
+        /** @type {TokenData} */
+        const tokenData = { token, expiresAt };
+        await cache.put(cacheKey, Response.json(tokenData, {
+            headers: { 'Cache-Control': `public, max-age=${ttl}` }
+        })).catch((err) => {
+            console.error(`[${appName}] Firebase token cache put error for UID ${uid}:`, err);
+            // If we fail to store the token in cache, we still return the token
+            // but it won't be cached for future requests.
+        });
+    }
+
+    return token;
+}
+
+/**
+ * Gets the IP address of the client that made the request.
+ * 
+ * @param {Request} request The incoming request.
+ * @returns {string | null} The IP address, or null if none was found in the request headers.
+ */
+function getClientIp(request) {
+    return request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || null;
+}
+
+/**
+ * Picks the sub-protocol of a WebSocket upgrade among the ones offered by the client.
+ *
+ * @param {Request} request The upgrade request.
+ * @returns {string | null} The binary sub-protocol if offered, or null for the text protocol.
+ */
+function getWebSocketProtocol(request) {
+    const offered = (request.headers.get('Sec-WebSocket-Protocol') ?? '').split(',').map((protocol) => protocol.trim());
+    return offered.includes(BINARY_SUBPROTOCOL) ? BINARY_SUBPROTOCOL : null;
+}
+
+/**
+ * Creates the response that accepts a WebSocket upgrade, confirming the sub-protocol if one was picked.
+ * Browsers fail the connection if the response names a sub-protocol they did not offer, but not if it names none.
+ *
+ * @param {WebSocket} ws The client end of the WebSocket pair.
+ * @param {string | null} protocol The sub-protocol, see {@link getWebSocketProtocol}.
+ * @returns {Response} The response.
+ */
+function createUpgradeResponse(ws, protocol) {
+    return new Response(null, {
+        status: 101,
+        webSocket: ws,
+        headers: protocol ? { 'Sec-WebSocket-Protocol': protocol } : undefined
+    });
+}
+
+/**
+ * Checks whether the origin of a WebSocket upgrade is allowed. Pages served by the worker itself are
+ * always allowed, and so are localhost pages while the worker runs on localhost (e.g. `vite dev`).
+ * Browsers always send the origin, so upgrades without one come from other clients and are allowed.
+ *
+ * @param {Request} request The upgrade request.
+ * @param {string | undefined} allowedOrigins The other allowed origins, comma-separated. An origin whose
+ * host starts with `*.` allows its subdomains, e.g. `https://*.example.com`.
+ * @returns {boolean} Whether the origin is allowed, true if the request has none.
+ */
+function isOriginAllowed(request, allowedOrigins) {
+    const origin = request.headers.get('Origin');
+    if (origin == null) {
+        return true;
+    }
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (err) {
+        return false;
+    }
+    const requestUrl = new URL(request.url);
+    if (url.host === requestUrl.host ||
+        LOCALHOST_HOSTNAMES.includes(url.hostname) && LOCALHOST_HOSTNAMES.includes(requestUrl.hostname)) {
+        return true;
+    }
+    return (allowedOrigins ?? '').split(',').some((allowed) => {
+        const [protocol, host] = allowed.trim().split('://');
+        if (!host || url.protocol !== `${protocol}:`) {
+            return false;
+        }
+        return host.startsWith('*.') ? url.host.endsWith(host.slice(1)) : url.host === host;
+    });
+}
+
+/**
+ * Parses an IPv6 address into its eight 16-bit groups.
+ *
+ * @param {string} ip The IPv6 address, without brackets or zone.
+ * @returns {number[] | null} The groups, or null if the address is invalid.
+ */
+function parseIPv6(ip) {
+    const halves = ip.split('::');
+    if (halves.length > 2) {
+        return null;
+    }
+    /** @type {string[][]} */
+    const parts = halves.map((half) => half === '' ? [] : half.split(':'));
+    // An embedded IPv4 address takes the place of the last two groups
+    const last = parts[parts.length - 1];
+    const tail = last[last.length - 1];
+    if (tail?.includes('.')) {
+        const octets = tail.split('.').map((octet) => /^\d{1,3}$/.test(octet) ? Number(octet) : NaN);
+        if (octets.length !== 4 || octets.some((octet) => !(octet <= 255))) {
+            return null;
+        }
+        last.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+    }
+    const count = parts.reduce((sum, part) => sum + part.length, 0);
+    if (parts.length === 1 ? count !== 8 : count > 7) {
+        return null;
+    }
+    const hextets = parts.length === 1 ? parts[0] : [...parts[0], ...Array(8 - count).fill('0'), ...parts[1]];
+    if (hextets.some((hextet) => !/^[\da-f]{1,4}$/i.test(hextet))) {
+        return null;
+    }
+    return hextets.map((hextet) => parseInt(hextet, 16));
+}
+
+/**
+ * Normalizes the IP address of a client, so that the addresses a single client can pick from
+ * share a client ID. IPv4 addresses are kept as-is, IPv4-mapped IPv6 addresses are turned back
+ * into IPv4 addresses and other IPv6 addresses are truncated to their prefix.
+ *
+ * @param {string} ip The IP address.
+ * @param {number} prefixLength The length of the IPv6 prefix to keep.
+ * @returns {string} The normalized address, or the address as-is if it cannot be parsed.
+ */
+function normalizeClientIp(ip, prefixLength) {
+    ip = ip.trim();
+    if (!ip.includes(':')) {
+        return ip;
+    }
+    const groups = parseIPv6(ip.replace(/^\[|\]$/g, '').replace(/%.*$/, ''));
+    if (!groups) {
+        return ip;
+    }
+    // ::ffff:0:0/96
+    if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+        return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+    }
+    for (let i = 0; i < groups.length; i++) {
+        const bits = Math.min(Math.max(prefixLength - i * 16, 0), 16);
+        groups[i] &= (0xffff << (16 - bits)) & 0xffff;
+    }
+    return `${groups.map((group) => group.toString(16)).join(':')}/${prefixLength}`;
+}
+
+/**
+ * An IP address or range as a number, IPv4-mapped IPv6 addresses being parsed as IPv4 addresses.
+ * @typedef {Object} ParsedIp
+ * @property {4 | 6} version The IP version.
+ * @property {bigint} value The address, or the first address of the range.
+ * @property {number} prefixLength The prefix length of the range, the address length for a single address.
+ */
+
+/**
+ * Parses an IP address, or a range in CIDR notation.
+ *
+ * @param {string} ip The IP address or range, e.g. `192.0.2.1`, `2001:db8::/32`.
+ * @returns {ParsedIp | null} The parsed address, or null if it is invalid.
+ */
+function parseIp(ip) {
+    const [address, prefix, ...rest] = ip.trim().split('/');
+    if (rest.length > 0 || (prefix != null && !/^\d{1,3}$/.test(prefix))) {
+        return null;
+    }
+    /** @type {4 | 6} */
+    let version = 4;
+    let value = 0n;
+    let shift = 0;
+    if (!address.includes(':')) {
+        const octets = address.split('.');
+        if (octets.length !== 4 || octets.some((octet) => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) {
+            return null;
+        }
+        value = octets.reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+    } else {
+        const groups = parseIPv6(address.replace(/^\[|\]$/g, '').replace(/%.*$/, ''));
+        if (!groups) {
+            return null;
+        }
+        value = groups.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+        if (value >> 32n === 0xffffn) {
+            // ::ffff:0:0/96
+            value &= 0xffffffffn;
+            shift = 96;
+        } else {
+            version = 6;
+        }
+    }
+    const bits = version === 4 ? 32 : 128;
+    const prefixLength = prefix == null ? bits : Number(prefix) - shift;
+    if (prefixLength < 0 || prefixLength > bits) {
+        return null;
+    }
+    const hostBits = BigInt(bits - prefixLength);
+    return { version, value: (value >> hostBits) << hostBits, prefixLength };
+}
+
+/**
+ * Checks whether an IP address is in a range.
+ *
+ * @param {ParsedIp} ip The IP address.
+ * @param {ParsedIp} range The range.
+ * @returns {boolean} Whether the address is in the range.
+ */
+function isIpInRange(ip, range) {
+    if (ip.version !== range.version || ip.prefixLength < range.prefixLength) {
+        return false;
+    }
+    const hostBits = BigInt((range.version === 4 ? 32 : 128) - range.prefixLength);
+    return ip.value >> hostBits === range.value >> hostBits;
+}
+
+/**
+ * Gets the close reason sent to banned clients.
+ *
+ * @param {number} bannedUntil The ban expiry.
+ * @returns {string} The close reason.
+ */
+function getBannedReason(bannedUntil) {
+    return BANNED_ERRMSG + new Date(bannedUntil).toISOString();
+}
+
+/**
+ * Creates the response to a refused WebSocket upgrade.
+ * Browsers do not expose the upgrade response, so the refusal is reported through the close frame.
+ *
+ * @param {Request} request The upgrade request.
+ * @param {number} code The close code.
+ * @param {string} reason The close reason.
+ * @returns {Response} The response, with an already closed WebSocket.
+ */
+function createClosedResponse(request, code, reason) {
+    const pair = new WebSocketPair();
+    pair[1].accept();
+    pair[1].close(code, reason);
+    return createUpgradeResponse(pair[0], getWebSocketProtocol(request));
+}
+
+/**
+ * Creates the response to the WebSocket upgrade of a banned client.
+ *
+ * @param {Request} request The upgrade request.
+ * @param {number} bannedUntil The ban expiry.
+ * @returns {Response} The response, with an already closed WebSocket.
+ */
+function createBannedResponse(request, bannedUntil) {
+    return createClosedResponse(request, BANNED_ERRCODE, getBannedReason(bannedUntil));
+}
+
+/**
+ * The HMAC key imported from the client ID secret.
+ * @type {{ secret: string, key: Promise<CryptoKey> } | null}
+ */
+let clientIdKey = null;
+
+/**
+ * Gets the HMAC key for the client ID secret, importing it once per isolate.
+ *
+ * @param {string} secret The client ID secret.
+ * @returns {Promise<CryptoKey>} A promise that resolves to the key.
+ */
+function getClientIdKey(secret) {
+    if (clientIdKey?.secret !== secret) {
+        const key = crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        clientIdKey = { secret, key };
+        key.catch(() => {
+            if (clientIdKey?.key === key) {
+                clientIdKey = null;
+            }
+        });
+    }
+    return clientIdKey.key;
+}
+
+/**
+ * Gets the client ID for the given IP address.
+ * 
+ * IPv6 addresses are first truncated to the configured prefix (see {@link normalizeClientIp}).
+ * The ID is a keyed HMAC of the IP address, so the stored IDs cannot be traced back to the IP
+ * addresses without the `CLIENT_ID_SECRET`. When `CLIENT_ID_ROTATION_HOURS` is set, the current
+ * rotation period salts the HMAC, so the IDs, and the rate limits and bans tied to them, start over every period.
+ * 
+ * @param {Env} env The environment variables and bindings.
+ * @param {string} ip The IP address of the client.
+ * @param {number} [now] The current timestamp, used to pick the rotation period.
+ * @returns {Promise<string>} A promise that resolves to the client ID.
+ */
+async function getClientId(env, ip, now = Date.now()) {
+    if (!env.CLIENT_ID_SECRET) {
+        throw new Error('CLIENT_ID_SECRET is not set');
+    }
+    const { ipv6PrefixLength } = await getConfig(env);
+    const address = normalizeClientIp(ip, ipv6PrefixLength);
+    const rotationPeriod = getClientIdRotationPeriod(env);
+    const message = rotationPeriod > 0 ? `${Math.floor(now / rotationPeriod)}:${address}` : address;
+    const key = await getClientIdKey(env.CLIENT_ID_SECRET);
+    const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+    // Base64url, as Firebase keys cannot contain '/'
+    const encoded = btoa(String.fromCharCode(...new Uint8Array(mac, 0, CLIENT_ID_BYTES)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+    return CLIENT_ID_PREFIX + encoded;
+}
+
+/**
+ * Gets the client ID rotation period. Penalties are keyed by client ID, so no client ban outlasts it.
+ *
+ * @param {Env} env The environment variables and bindings.
+ * @returns {number} The rotation period in milliseconds, or 0 if the client IDs never rotate.
+ */
+function getClientIdRotationPeriod(env) {
+    const rotationHours = Number(env.CLIENT_ID_ROTATION_HOURS ?? 0);
+    return rotationHours > 0 ? rotationHours * ONE_HOUR : 0;
+}
+
 export {
+    getClientId,
+    getClientIdRotationPeriod,
+    getClientIp,
+    getWebSocketProtocol,
+    createUpgradeResponse,
+    isOriginAllowed,
+    normalizeClientIp,
+    parseIp,
+    isIpInRange,
+    getBannedReason,
+    createClosedResponse,
+    createBannedResponse,
+    getToken,
     isTokenData,
     isValidBPHEntry,
 };
\ No newline at end of file
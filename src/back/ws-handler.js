@@ -1,81 +1,86 @@
 // @ts-check
 /// <reference types="@cloudflare/workers-types" />
-import { unpatchGlobalWebSocket } from "./patch-global-websocket";
-import { deleteApp, initializeApp } from "firebase/app";
+import { refillTokenBucket } from "./rate-limit";
 import {
-    HEARTBEAT_TIMEOUT,
-    INTERNAL_SERVER_ERROR_ERRCODE,
-    INTERNAL_SERVER_ERROR_ERRMSG,
+    encodeBoopReply,
+    encodeBoopReject,
+    encodeBatchReply,
+    encodeBoopCount,
+    decodeClientMessage
+} from "../shared/binary-protocol";
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    BUILD_ID,
+    FEATURE_CHALLENGE,
+    FEATURE_RESUME,
+    PROTOCOL_FEATURES,
+    SESSION_TOKEN_LENGTH,
+    LEGACY_FEATURES,
+    VERSION_MISMATCH_ERRCODE,
+    VERSION_MISMATCH_ERRMSG,
     NO_HEARTBEAT_ERRCODE,
     NO_HEARTBEAT_ERRMSG,
-    TOO_MANY_COOLDOWN_FAILS_ERRCODE,
-    TOO_MANY_COOLDOWN_FAILS_ERRMSG,
+    RATE_LIMITED_ERRCODE,
+    RATE_LIMITED_ERRMSG,
     PROTO_HEARTBEAT,
+    PROTO_HELLO,
     PROTO_BOOP_REQUEST,
     PROTO_COOLDOWN_QUERY,
+    PROTO_BOOP_BATCH,
+    MAX_BOOP_BATCH,
+    PROTO_CHALLENGE_SOLUTION,
+    PROTO_WELCOME,
     PROTO_BOOP_REPLY,
     PROTO_BOOP_REJECT,
     PROTO_COOLDOWN_REPLY,
+    PROTO_BATCH_REPLY,
     PROTO_INVALID,
-    PROTO_BOOP_COUNT
+    PROTO_BOOP_COUNT,
+    PROTO_CHALLENGE,
+    PROTO_CHALLENGE_ACCEPTED
 } from "../shared/protocol";
-import {
-    ONE_MINUTE,
-    ONE_HOUR,
-    FB_TOKEN_TTL,
-    FB_TOKEN_TTL_S,
-    FB_TOKEN_CLOSE_CALL_THRESHOLD,
-    FB_TOKEN_USER_ID,
-    BPH_VALID_UNTIL,
-    BPH_CHANGE,
-    CD_FAIL_LIMIT,
-    BPH_KEY,
-    BPH_SYNC_INTERVAL,
-    BPH_LIMIT,
-    BPM_LIMIT,
-    GBC_KEY,
-    GBC_SYNC_INTERVAL
-} from "./constants";
-import { isObject } from "../shared/utils";
-import { isTokenData, isValidBPHEntry } from "./utils";
-import { getAuth, signInWithCustomToken } from "firebase/auth";
-import {
-    getDatabase,
-    ref,
-    get,
-    set,
-    push,
-    remove,
-    increment,
-    onChildAdded,
-    onChildRemoved,
-    onValue
-} from "firebase/database";
-
-/** @typedef {import("./index").Env} Env */
-
-unpatchGlobalWebSocket();
-
-const NOOP = () => { };
 
+/**
+ * Per-connection state, serialized into the WebSocket attachment so it survives hibernation.
+ * Must stay well below the 2 KB attachment limit; the rate limiting state is per client and
+ * lives in the hub storage instead.
+ * @typedef {Object} ConnectionState
+ * @property {string} id The client ID.
+ * @property {number} connectedAt The time the connection was accepted.
+ * @property {boolean} [binary] Whether the connection uses the binary sub-protocol, see src/shared/binary-protocol.js.
+ * @property {number} [version] The protocol version announced by the client, 0 until it says hello.
+ * @property {string} [build] The build ID announced by the client.
+ * @property {string[]} [features] The features supported by both sides, negotiated in the handshake.
+ * @property {string} [session] The boop session token, issued or resumed in the handshake.
+ * @property {import("./rate-limit").TokenBucketState} [messages] The message token bucket, see {@link WellMaresWSHandler#onMessage}.
+ * @property {number} [received] The number of messages received.
+ * @property {number} [invalid] The number of invalid messages received.
+ */
+
+/**
+ * The services the hosting hub provides to its connection handlers.
+ * @typedef {Object} HubContext
+ * @property {string} appName The log prefix.
+ * @property {() => Readonly<import("./config").RuntimeConfig>} getConfig Gets the runtime config.
+ * @property {() => number} getBoopCount Gets the Global Boops Count (GBC), including the unsynced boops.
+ * @property {(clientId: string, count: number, session: string | null, boopId: number) => Promise<import("./hub").BoopResult>} boop Boops a batch of boops on behalf of a client, once per boop ID of a session.
+ * @property {(clientId: string, seed: string, counter: number) => Promise<boolean>} solveChallenge Checks the solution to the challenge of a client.
+ * @property {(clientId: string) => Promise<import("./hub").CooldownResult>} getCooldown Gets the cooldown of a client.
+ */
+
+/**
+ * Handles the protocol of a single client WebSocket hosted by a hub.
+ *
+ * Handlers are rebuilt from the socket attachment for every event, so they survive the hub
+ * being evicted from memory between messages.
+ */
 class WellMaresWSHandler {
     /**
-     * The environment variables.
-     * @type {Env}
+     * The hosting hub.
+     * @type {HubContext}
      */
-    #env;
-
-    /**
-     * The host of the request.
-     * @type {string}
-     */
-    #host;
-
-    /**
-     * The waitUntil function to extend the lifetime of the request.
-     * @type {(promise: Promise<void>) => void}
-     */
-    #waitUntil = NOOP;
+    #hub;
 
     /**
      * The WebSocket server.
@@ -84,784 +89,326 @@ class WellMaresWSHandler {
     #ws;
 
     /**
-     * The client ID.
-     * @type {string}
-     */
-    #id;
-
-    /**
-     * Firebase app name.
-     * @type {string}
-     */
-    #appName = `WM-${crypto.randomUUID()}`;
-
-    /**
-     * The Firebase app instance.
-     * @type {import("firebase/app").FirebaseApp}
-     */
-    #app;
-
-    /**
-     * The Firebase authentication instance.
-     * @type {import("firebase/auth").Auth}
-     */
-    #auth;
-
-    /**
-     * The Firebase Realtime Database instance.
-     * @type {import("firebase/database").Database}
-     */
-    #db = /** @type {any} */ (null);
-
-    /**
-     * The Boops per Hour (BPH) reference.
-     * @type {import("firebase/database").DatabaseReference}
-     */
-    #bphRef = /** @type {any} */ (null);
-
-    /**
-     * The Global Boops Count (GBC) reference.
-     * @type {import("firebase/database").DatabaseReference}
-     */
-    #gbcRef = /** @type {any} */ (null);
-
-    /**
-     * The last Global Boops Count (GBC) value.
-     * @type {number}
-     */
-    #lastGBC = 0;
-
-    /**
-     * The last Global Boops Count (GBC) sync timestamp.
-     * @type {number}
-     */
-    #lastGBCSync = 0;
-
-    /**
-     * The unsynced Global Boops Count (GBC) value.
-     * @type {number}
-     */
-    #unsyncedGBC = 0;
-
-
-    /**
-     * Whether the Global Boops Count (GBC) sync interval warning has been shown.
-     * @type {boolean}
-     */
-    #gbcSyncInterwalWarningShown = false;
-
-    /**
-     * The bound Global Boops Count (GBC) sync function.
-     * @type {() => Promise<void>}
-     */
-    #boundGBCSync;
-
-    /**
-     * The Boops per Hour (BPH) data.
-     * @type {Record<string, [number, number]>}
-     */
-    #bph = {};
-
-    /**
-     * The last Boops per Hour (BPH) sum.
-     * @type {number}
-     */
-    #lastBPH = 0;
-
-    /**
-     * The unsynced Boops per Hour (BPH) value.
-     * @type {number}
-     */
-    #unsyncedBPH = 0;
-
-    /**
-     * The cooldown until timestamp.
-     * @type {number}
-     */
-    #cooldownUntil = 0;
-
-    /**
-     * The number of consecutive cooldown failures.
-     * @type {number}
+     * The connection state, mirrored in the socket attachment.
+     * @type {ConnectionState}
      */
-    #cooldownFails = 0;
+    #state;
 
     /**
-     * The Boops per Minute (BPM) timestamps.
-     * @type {number[]}
-     */
-    #bpmBoops = [];
-
-    /**
-     * The heartbeat timeout.
-     * @type {NodeJS.Timeout | number | null}
-     */
-    #heartbeatTimeout = null;
-
-    /**
-     * The Boops per Hour (BPH) sync interval.
-     * @type {NodeJS.Timeout | number}
-     */
-    #bphSyncInterval = /** @type {any} */ (null);
-
-    /**
-     * The Boops per Hour (BPH) child added listener.
-     * @type {() => void}
-     */
-    #offBPHChildAdded = NOOP;
-
-    /**
-     * The Boops per Hour (BPH) child removed listener.
-     * @type {() => void}
-     */
-    #offBPHChildRemoved = NOOP;
-
-    /**
-     * The Global Boops Count (GBC) change listener.
-     * @type {() => void}
-     */
-    #offGBCChange = NOOP;
-
-    /**
-     * The Global Boops Count (GBC) sync timeout.
-     * @type {NodeJS.Timeout | number}
-     */
-    #gbcSyncTimeout = /** @type {any} */ (null);
-
-    /**
-     * The promise for the Global Boops Count (GBC) sync.
-     * @type {Promise<void> | null}
-     */
-    #gbcSyncPromise = null;
-
-    /**
-     * The Boops per Hour (BPH) remove timeouts.
-     * @type {Map<string, NodeJS.Timeout>}
-     */
-    #bphRemoveTimeouts = new Map();
-
-    /**
-     * The promise that resolves when the WebSocket handler is initialized.
-     * @type {Promise<void>}
-     */
-    #initPromise;
-
-    /**
-     * Creates a new WebSocket handler.
-     * 
-     * @param {Env} env The environment variables.
-     * @param {Request} request The incoming request.
+     * Creates a handler for an accepted WebSocket.
+     *
+     * @param {HubContext} hub The hosting hub.
      * @param {WebSocket} ws The WebSocket server instance.
+     * @param {ConnectionState} state The connection state, usually read from the socket attachment.
      */
-    constructor(env, request, ws) {
-        this.#env = env;
-        const url = new URL(request.url);
-        this.#host = url.host;
+    constructor(hub, ws, state) {
+        this.#hub = hub;
         this.#ws = ws;
-        const ip = request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip') || 'default';
-        if (ip === 'default') {
-            console.warn(`[${this.#appName}] No IP address found in request headers, using 'default' as fallback.`);
-        }
-        this.#id = `c${btoa(ip).replace(/=/g, '')}`;
-
-        this.#boundGBCSync = this.#gbcSync.bind(this);
-
-        this.#app = initializeApp(JSON.parse(env.FIREBASE_CONFIG), this.#appName);
-        this.#auth = getAuth(this.#app);
-
-        this.#initPromise = this.#asyncInit();
+        this.#state = state;
     }
 
     /**
-     * Sets the waitUntil function to extend the lifetime of the request.
-     * 
-     * @param {(promise: Promise<void>) => void} waitUntil The waitUntil function.
-     * @return {void}
-     */
-    set waitUntil(waitUntil) {
-        this.#waitUntil = waitUntil;
+     * Creates the handler of a newly accepted WebSocket.
+     *
+     * @param {HubContext} hub The hosting hub.
+     * @param {WebSocket} ws The WebSocket server instance.
+     * @param {string} clientId The client ID.
+     * @param {number} now The current timestamp.
+     * @param {boolean} binary Whether the client negotiated the binary sub-protocol.
+     * @return {WellMaresWSHandler} The handler.
+     */
+    static accept(hub, ws, clientId, now, binary) {
+        /** @type {ConnectionState} */
+        const state = {
+            id: clientId,
+            connectedAt: now,
+            binary,
+            received: 0,
+            invalid: 0
+        };
+        ws.serializeAttachment(state);
+        return new WellMaresWSHandler(hub, ws, state);
     }
 
     /**
-     * Awaits the initialization of the WebSocket handler.
-     * 
-     * @return {Promise<void>} A promise that resolves when the WebSocket handler is initialized.
+     * The client ID.
+     * @type {string}
      */
-    init() {
-        return this.#initPromise;
+    get id() {
+        return this.#state.id;
     }
 
     /**
-     * Asynchronously initializes the WebSocket handler.
-     * 
-     * @return {Promise<void>} A promise that resolves when the WebSocket handler is initialized.
+     * Handles an incoming WebSocket message.
+     *
+     * Every message takes a token from the message bucket of the connection, whatever its kind, and
+     * the connection is closed once the bucket is empty, a message is too long or too many are invalid.
+     * Heartbeats answered by the hub's auto-response never get here.
+     *
+     * @param {string | ArrayBuffer} data The message.
+     * @return {Promise<void>} A promise that resolves when the message is handled.
      */
-    async #asyncInit() {
-        try {
-            await this.#signIn();
-        } catch (error) {
-            console.error(`[${this.#appName}] Failed to sign in to Firebase:`, error);
-            this.#ws.accept();
-            this.#ws.close(INTERNAL_SERVER_ERROR_ERRCODE, INTERNAL_SERVER_ERROR_ERRMSG);
+    async onMessage(data) {
+        if (this.#ws.readyState !== WebSocket.OPEN) {
+            // Already closed for exceeding a limit
             return;
         }
-
-        this.#db = getDatabase(this.#app);
-
-        const results = await Promise.allSettled([
-            this.#initBPH(),
-            this.#initGBC(),
-        ]);
-        if (results[0].status === 'rejected' || results[1].status === 'rejected') {
-            if (results[0].status === 'rejected') {
-                console.error(`[${this.#appName}] Failed to initialize Boops per Hour (BPH):`, results[0].reason);
-            }
-            if (results[1].status === 'rejected') {
-                console.error(`[${this.#appName}] Failed to initialize Global Boops Count (GBC):`, results[1].reason);
-            }
-            this.#ws.accept();
-            this.#ws.close(INTERNAL_SERVER_ERROR_ERRCODE, INTERNAL_SERVER_ERROR_ERRMSG);
+        const config = this.#hub.getConfig();
+        const state = this.#state;
+        state.received = (state.received ?? 0) + 1;
+        state.messages = refillTokenBucket(state.messages, Date.now(), config.messageBurst, config.messageRate);
+        if (state.messages.tokens < 1) {
+            this.#closeFlooded('rate');
             return;
         }
-        this.#afterAsyncInit();
-    }
-
-    /**
-     * Handles the post-async initialization of the WebSocket handler.
-     * 
-     * @return {void}
-     */
-    #afterAsyncInit() {
-        // Set up the WebSocket connection
-        this.#ws.accept();
-        this.#resetHeartbeatTimeout();
-
-        // Socket event listeners
-        this.#ws.addEventListener('message', this.#onMessage.bind(this));
-        this.#ws.addEventListener('close', this.#onClose.bind(this));
-
-        // Send initial boop count
-        this.#sendBoopCount();
-    }
-
-    /**
-     * Gets the Firebase custom token for the given user ID.
-     * 
-     * @param {string} uid The user ID for which to get the token.
-     * @return {Promise<string>} A promise that resolves to the custom token.
-     */
-    async #getToken(uid) {
-        const tokenKey = `firebase_token:${this.#env.FIREBASE_TOKEN_PREFIX}:${uid}`;
-        const cacheKey = new Request(`https://${this.#host}/${this.#env.FIREBASE_TOKEN_PREFIX}/${uid}/token`);
-
-        const cache = caches.default;
-        let cacheResp = await cache.match(cacheKey).catch((err) => {
-            console.error(`[${this.#appName}] Firebase token cache match error:`, err);
-            return null;
-        });
-        const now = Date.now();
-
-        if (cacheResp) {
-            const cachedValue = await cacheResp.json().catch((err) => {
-                console.error(`[${this.#appName}] Firebase token cache JSON parse error:`, err);
-                return null;
-            });
-
-            if (isTokenData(cachedValue) && cachedValue.expiresAt > now + FB_TOKEN_CLOSE_CALL_THRESHOLD) {
-                console.info(`[${this.#appName}] Firebase token cache hit for UID: ${uid}`);
-                return cachedValue.token;
-            }
-
-            await cache.delete(cacheKey).catch((err) => {
-                console.error(`[${this.#appName}] Firebase token cache delete error:`, err);
-            });
-        }
-
-        console.info(`[${this.#appName}] Firebase token cache miss or expired, checking KV...`);
+        state.messages.tokens -= 1;
+        this.#ws.serializeAttachment(state);
 
-        const kvResp = await this.#env.FIREBASE_TOKEN_CACHE.get(tokenKey, "json").catch((err) => {
-            console.error(`[${this.#appName}] Firebase token KV get error:`, err);
-            return null;
-        });
-        /** @type {string | null} */
-        let token = null;
-        let expiresAt = 0;
-        if (isTokenData(kvResp) && kvResp.expiresAt > now + FB_TOKEN_CLOSE_CALL_THRESHOLD) {
-            token = kvResp.token;
-            expiresAt = kvResp.expiresAt;
-        } else {
-            console.info(`[${this.#appName}] Firebase token KV miss or expired, generating new token for UID: ${uid}`);
-            token = await this.#env.FIREBASE_TOKEN_SERVICE.generateToken(uid).catch((err) => {
-                console.error(`[${this.#appName}] Firebase token generation error for UID ${uid}:`, err);
-                return null;
-            });
-            if (token === null) {
-                throw new Error(`Failed to generate token for UID: ${uid}`);
-            }
-            expiresAt = now + FB_TOKEN_TTL;
-
-            await this.#env.FIREBASE_TOKEN_CACHE.put(
-                tokenKey,
-                JSON.stringify({ token, expiresAt }),
-                { expirationTtl: FB_TOKEN_TTL_S }
-            ).catch((err) => {
-                console.error(`[${this.#appName}] Firebase token KV put error for UID ${uid}:`, err);
-                // If we fail to store the token in KV, we still return the token
-                // but it won't be cached for future requests.
-            });
-        }
-
-        const ttl = Math.floor((expiresAt - now) / 1000);
-        /** @type {import("./utils").TokenData} */
-        const tokenData = { token, expiresAt };
-        cacheResp = Response.json(tokenData, {
-            headers: { 'Cache-Control': `public, max-age=${ttl}` }
-        });
-        await cache.put(cacheKey, cacheResp).catch((err) => {
-            console.error(`[${this.#appName}] Firebase token cache put error for UID ${uid}:`, err);
-            // If we fail to store the token in cache, we still return the token
-            // but it won't be cached for future requests.
-        });
-
-        return token;
-    }
-
-    /**
-     * Signs in to Firebase using a custom token.
-     * 
-     * @return {Promise<void>} A promise that resolves when the sign-in is complete.
-     */
-    async #signIn() {
-        const token = await this.#getToken(FB_TOKEN_USER_ID);
-        const creds = await signInWithCustomToken(this.#auth, token);
-    }
-
-    /**
-     * Initializes the Boops per Hour (BPH) reference and sets up listeners.
-     * 
-     * @return {Promise<void>} A promise that resolves when the BPH reference is initialized.
-     */
-    async #initBPH() {
-        const bphRootRef = ref(this.#db, BPH_KEY);
-        const bphRootSS = await get(bphRootRef);
-        const bphRootSSVal = bphRootSS.val();
-        if (!isObject(bphRootSSVal)) {
-            await set(bphRootRef, {});
-        }
-        this.#bphRef = ref(this.#db, `${BPH_KEY}/${this.#id}`);
-        this.#bphSyncInterval = setInterval(this.#syncBPH.bind(this), BPH_SYNC_INTERVAL);
-        this.#offBPHChildAdded = onChildAdded(this.#bphRef, this.#onBPHChildAdded.bind(this));
-        this.#offBPHChildRemoved = onChildRemoved(this.#bphRef, this.#onBPHChildRemoved.bind(this));
-        const bphSS = await get(this.#bphRef);
-        const bphSSVal = bphSS.val();
-        if (!isObject(bphSSVal)) {
-            if (bphSSVal != null) {
-                console.warn(`[${this.#appName}] Invalid Boops per Hour (BPH) data for client ${this.#id}, resetting.`);
-            }
-            await set(this.#bphRef, {});
-        }
-    }
-
-    /**
-     * Initializes the Global Boops Count (GBC) reference and sets up listeners.
-     * 
-     * @return {Promise<void>} A promise that resolves when the GBC reference is initialized.
-     */
-    async #initGBC() {
-        this.#gbcRef = ref(this.#db, GBC_KEY);
-        const gbcSS = await get(this.#gbcRef);
-        let gbcSSVal = gbcSS.val();
-        if (gbcSSVal != null && (typeof gbcSSVal !== 'number' || gbcSSVal < 0)) {
-            console.warn(`[${this.#appName}] Invalid Global Boops Count (GBC) data for client ${this.#id}, resetting.`);
-            gbcSSVal = null;
-        }
-        this.#lastGBC = gbcSSVal || 0;
-        if (gbcSSVal == null) {
-            await set(this.#gbcRef, 0);
-        }
-
-        this.#gbcSyncTimeout = setTimeout(this.#gbcSync.bind(this), GBC_SYNC_INTERVAL);
-        this.#offGBCChange = onValue(this.#gbcRef, this.#onGBCChange.bind(this));
-    }
-
-    /**
-     * Resets the heartbeat timeout.
-     * 
-     * @return {void}
-     */
-    #resetHeartbeatTimeout() {
-        if (this.#heartbeatTimeout) {
-            clearTimeout(this.#heartbeatTimeout);
+        if ((typeof data === 'string' ? data.length : data.byteLength) > config.maxMessageSize) {
+            this.#closeFlooded('size');
+            return;
         }
-        this.#heartbeatTimeout = setTimeout(() => {
-            this.#ws.close(NO_HEARTBEAT_ERRCODE, NO_HEARTBEAT_ERRMSG);
-            this.#heartbeatTimeout = null;
-        }, HEARTBEAT_TIMEOUT);
-    }
 
-    /**
-     * Handles incoming WebSocket messages.
-     * 
-     * @param {MessageEvent} event The WebSocket message event.
-     * @return {void}
-     */
-    #onMessage(event) {
-        const data = event.data;
         if (typeof data !== 'string') {
-            console.warn(`[${this.#appName}] Received non-string data from client ${this.#id}:`, { data });
+            // Only boop requests and batches have a binary form
+            const message = state.binary ? decodeClientMessage(data) : null;
+            if (!message) {
+                this.#onInvalid(data, false);
+            } else if (!state.version && MIN_PROTOCOL_VERSION > 0) {
+                this.#closeOutdated(0);
+            } else {
+                await this.#onBoop(message.boopId, message.type === 'batch' ? message.count : 0);
+            }
             return;
         }
 
         if (data === PROTO_HEARTBEAT) {
+            // Normally answered by the hub's auto-response without waking it up
             this.#ws.send(PROTO_HEARTBEAT);
-            this.#resetHeartbeatTimeout();
             return;
         }
 
-        const now = Date.now();
-        if (data.startsWith(PROTO_BOOP_REQUEST)) {
-            const match = data.slice(PROTO_BOOP_REQUEST.length).match(/^([\da-z]{1,11})$/);
+        if (data.startsWith(PROTO_HELLO) && !state.version) {
+            const match = data.slice(PROTO_HELLO.length).match(/^([\da-z]{1,4}),([\w.-]{1,32}),([a-z\d+-]{0,64})(?:,([\da-f]{16}))?$/);
             if (match) {
-                this.#onBoop(now, parseInt(match[1], 36));
+                this.#onHello(parseInt(match[1], 36), match[2], match[3].split('+').filter(Boolean), match[4] ?? null);
                 return;
             }
         }
 
-        if (data.startsWith(PROTO_COOLDOWN_QUERY)) {
-            const match = data.slice(PROTO_COOLDOWN_QUERY.length).match(/^([\da-z]{1,11})$/);
+        if (!state.version && MIN_PROTOCOL_VERSION > 0) {
+            this.#closeOutdated(0);
+            return;
+        }
+
+        if (data.startsWith(PROTO_BOOP_REQUEST)) {
+            const match = data.slice(PROTO_BOOP_REQUEST.length).match(/^([\da-z]{1,11})$/);
             if (match) {
-                this.#onCooldownQuery(parseInt(match[1], 36), now);
+                await this.#onBoop(parseInt(match[1], 36));
                 return;
             }
         }
 
-        console.warn(`[${this.#appName}] Received invalid data from client ${this.#id}:`, { data });
-        this.#ws.send(PROTO_INVALID);
-    }
-
-    /**
-     * Handles the WebSocket close event.
-     * 
-     * @param {CloseEvent} event The WebSocket close event.
-     * @return {void}
-     */
-    #onClose(event) {
-        // Clean up listeners, intervals, and timeouts
-        this.#offGBCChange();
-        clearTimeout(this.#gbcSyncTimeout);
-        this.#offBPHChildAdded();
-        this.#offBPHChildRemoved();
-        clearInterval(this.#bphSyncInterval);
-        this.#bphRemoveTimeouts.forEach((timeout, key) => {
-            clearTimeout(timeout);
-        });
-        this.#bphRemoveTimeouts.clear();
-        if (this.#heartbeatTimeout) clearTimeout(this.#heartbeatTimeout);
-
-        this.#waitUntil((async () => {
-            await Promise.all([
-                this.#gbcSync(Date.now() + GBC_SYNC_INTERVAL + ONE_MINUTE),
-                this.#syncBPH(),
-            ]);
-
-            await deleteApp(this.#app).catch((err) => {
-                console.error(`[${this.#appName}] Failed to delete Firebase app:`, err);
-                return;
-            });
-        })());
-    }
-
-    /**
-     * Handles a boop request from the client.
-     * 
-     * @param {number} now The current timestamp.
-     * @param {number} boopId The boop ID sent by the client.
-     * @return {void}
-     */
-    #onBoop(now, boopId) {
-        if (this.#cooldownUntil !== 0) {
-            if (now < this.#cooldownUntil) {
-                if (this.#cooldownFails++ >= CD_FAIL_LIMIT) {
-                    console.warn(`[${this.#appName}] Too many cooldown fails for client ${this.#id}, closing WebSocket.`);
-                    this.#ws.close(TOO_MANY_COOLDOWN_FAILS_ERRCODE, TOO_MANY_COOLDOWN_FAILS_ERRMSG);
-                    return;
-                }
-                // Reject the boop
-                this.#ws.send(PROTO_BOOP_REJECT + boopId.toString(36) + ',' + (this.#cooldownUntil - now).toString(36));
+        if (data.startsWith(PROTO_BOOP_BATCH)) {
+            const match = data.slice(PROTO_BOOP_BATCH.length).match(/^([\da-z]{1,11}),([\da-z]{1,2})$/);
+            const count = match ? parseInt(match[2], 36) : 0;
+            if (match && count >= 1 && count <= MAX_BOOP_BATCH) {
+                await this.#onBoop(parseInt(match[1], 36), count);
                 return;
             }
-            this.#cooldownUntil = 0;
         }
 
-        const cooldown = this.#getCooldown(now);
-        if (cooldown !== 0) {
-            this.#cooldownUntil = cooldown;
-            // Reject the boop
-            this.#ws.send(PROTO_BOOP_REJECT + boopId.toString(36) + ',' + (this.#cooldownUntil - now).toString(36));
-            return;
-        }
-
-        this.#cooldownFails = 0;
-        this.#unsyncedGBC++;
-        this.#gbcSync(now);
-        this.#bpmBoops.push(now);
-        this.#unsyncedBPH++;
-
-        // Acknowledge the boop to the client
-        this.#ws.send(PROTO_BOOP_REPLY + boopId.toString(36));
-        this.#sendBoopCount();
-    }
-
-    /**
-     * Handles a cooldown query from the client.
-     * 
-     * @param {number} queryId The query ID sent by the client.
-     * @param {number} now The current timestamp.
-     * @return {void}
-     */
-    #onCooldownQuery(queryId, now) {
-        if (this.#cooldownUntil !== 0) {
-            if (now < this.#cooldownUntil) {
-                // If we are still in cooldown, send the remaining time
-                this.#ws.send(PROTO_COOLDOWN_REPLY + queryId.toString(36) + ',' + (this.#cooldownUntil - now).toString(36));
+        if (data.startsWith(PROTO_COOLDOWN_QUERY)) {
+            const match = data.slice(PROTO_COOLDOWN_QUERY.length).match(/^([\da-z]{1,11})$/);
+            if (match) {
+                await this.#onCooldownQuery(parseInt(match[1], 36));
                 return;
             }
-            this.#cooldownUntil = 0;
         }
 
-        const cooldown = this.#getCooldown(now);
-        if (cooldown !== 0) {
-            // If we are in cooldown, send the remaining time
-            this.#cooldownUntil = cooldown;
-            this.#ws.send(PROTO_COOLDOWN_REPLY + queryId.toString(36) + ',' + (this.#cooldownUntil - now).toString(36));
-            return;
+        if (data.startsWith(PROTO_CHALLENGE_SOLUTION)) {
+            const match = data.slice(PROTO_CHALLENGE_SOLUTION.length).match(/^([\da-f]{32}),([\da-z]{1,11})$/);
+            if (match && await this.#hub.solveChallenge(this.#state.id, match[1], parseInt(match[2], 36))) {
+                this.#ws.send(PROTO_CHALLENGE_ACCEPTED + match[1]);
+                return;
+            }
         }
 
-        // If no cooldown is needed, send an empty response
-        this.#ws.send(PROTO_COOLDOWN_REPLY + queryId.toString(36));
+        this.#onInvalid(data, true);
     }
 
     /**
-     * Calculates the cooldown time based on the current state of boops.
-     * 
+     * Closes the WebSocket if the client missed its heartbeats.
+     *
      * @param {number} now The current timestamp.
-     * @return {number} The cooldown time in milliseconds, or 0 if no cooldown is needed.
+     * @param {number} lastHeartbeat The time of the last heartbeat, or 0 if none was received.
+     * @return {boolean} Whether the connection is still alive.
      */
-    #getCooldown(now) {
-        if (this.#lastBPH + this.#unsyncedBPH >= BPH_LIMIT) {
-            const bphKeys = Object.keys(this.#bph).sort((a, b) => {
-                return this.#bph[a][BPH_VALID_UNTIL] - this.#bph[b][BPH_VALID_UNTIL];
-            });
-            let virtualBPH = this.#lastBPH + this.#unsyncedBPH;
-            let soonest = 0;
-
-            // Virtually remove boop packs until we are below the limit
-            for (const key of bphKeys) {
-                const entry = this.#bph[key];
-                soonest = entry[BPH_VALID_UNTIL];
-                virtualBPH -= entry[BPH_CHANGE];
-                if (virtualBPH < BPH_LIMIT) {
-                    // If we are below the limit, break out of the loop
-                    break;
-                }
-            }
-
-            if (virtualBPH >= BPH_LIMIT) {
-                // If even after subtracting all the boop packs we are still above the limit,
-                // set the soonest to be one hour from now
-                soonest = now + ONE_HOUR;
-            }
-
-            return now + Math.max(0, soonest - now);
-        }
-
-        if (this.#bpmBoops.length >= BPM_LIMIT) {
-            const oldest = this.#bpmBoops[0];
-            if (now - oldest >= ONE_MINUTE) {
-                // Remove all boops older than one minute
-                this.#bpmBoops = this.#bpmBoops.filter((timestamp) => now - timestamp < ONE_MINUTE);
-                return 0;
-            }
-
-            return now + Math.max(0, ONE_MINUTE - (now - oldest));
+    checkHeartbeat(now, lastHeartbeat) {
+        if (now - Math.max(this.#state.connectedAt, lastHeartbeat) <= this.#hub.getConfig().heartbeatTimeout) {
+            return true;
         }
-
-        return 0;
+        this.#ws.close(NO_HEARTBEAT_ERRCODE, NO_HEARTBEAT_ERRMSG);
+        return false;
     }
 
     /**
-     * Synchronizes the Boops per Hour (BPH) data with the Firebase database.
-     * 
-     * @return {Promise<void>} A promise that resolves when the synchronization is complete.
+     * Sends the current boop count to the client.
+     *
+     * @return {void}
      */
-    async #syncBPH() {
-        if (this.#unsyncedBPH === 0) {
-            return;
+    sendBoopCount() {
+        if (this.#ws.readyState === WebSocket.OPEN) {
+            const count = this.#hub.getBoopCount();
+            this.#ws.send(this.#state.binary ? encodeBoopCount(count) : PROTO_BOOP_COUNT + count.toString(36));
         }
-        const validUntil = Date.now() + ONE_HOUR;
-        const change = this.#unsyncedBPH;
-        this.#unsyncedBPH = 0;
-        await push(this.#bphRef, [validUntil, change]).catch((err) => {
-            console.error(`[${this.#appName}] Failed to sync Boops per Hour (BPH) for client ${this.#id}:`, err);
-            // Revert unsyncedBPH if sync fails
-            this.#unsyncedBPH += change;
-        });
     }
 
     /**
-     * Handles a child added event in the Boops per Hour (BPH) reference.
-     * 
-     * @param {import("firebase/database").DataSnapshot} snapshot The snapshot of the added child.
+     * Handles an invalid message, closing the connection once the client sent too many.
+     *
+     * @param {string | ArrayBuffer} data The message.
+     * @param {boolean} reply Whether to tell the client that the message is invalid.
      * @return {void}
      */
-    #onBPHChildAdded(snapshot) {
-        const val = snapshot.val();
-        const key = snapshot.key;
-        if (key == null || !isValidBPHEntry(val)) {
-            if (key == null) {
-                console.warn(`[${this.#appName}] Received Boops per Hour (BPH) entry with null key for client ${this.#id}.`);
-                return;
-            }
-
-            console.warn(`[${this.#appName}] Received invalid Boops per Hour (BPH) entry (${key}) for client ${this.#id}:`, { val });
-            // Remove the invalid entry
-            remove(ref(this.#db, `${BPH_KEY}/${this.#id}/${key}`)).catch((err) => {
-                console.error(`[${this.#appName}] Failed to remove invalid Boops per Hour (BPH) entry (${key}) for client ${this.#id}:`, err);
-                return;
-            });
+    #onInvalid(data, reply) {
+        const state = this.#state;
+        state.invalid = (state.invalid ?? 0) + 1;
+        this.#ws.serializeAttachment(state);
+        const limit = this.#hub.getConfig().invalidMessageLimit;
+        if (state.invalid > limit) {
+            this.#closeFlooded('invalid');
             return;
         }
-        this.#bph[key] = val;
-        this.#lastBPH += val[BPH_CHANGE];
-
-        let timeout = this.#bphRemoveTimeouts.get(key);
-        if (timeout != null) {
-            clearTimeout(timeout);
+        console.warn(`[${this.#hub.appName}] Received invalid data from client ${state.id} (${state.invalid}/${limit}):`, { data });
+        if (reply) {
+            this.#ws.send(PROTO_INVALID);
         }
-
-        // Set the timer to remove the entry when it expires
-        const timeLeft = Math.max(0, val[BPH_VALID_UNTIL] - Date.now());
-        timeout = setTimeout(async () => {
-            try {
-                await remove(ref(this.#db, `${BPH_KEY}/${this.#id}/${key}`));
-            } catch (err) {
-                console.error(`[${this.#appName}] Failed to remove Boops per Hour (BPH) entry (${key}) for client ${this.#id}:`, err);
-            }
-        }, timeLeft);
-        this.#bphRemoveTimeouts.set(key, timeout);
     }
 
     /**
-     * Handles a child removed event in the Boops per Hour (BPH) reference.
-     * 
-     * @param {import("firebase/database").DataSnapshot} snapshot The snapshot of the removed child.
+     * Handles the hello of the client, closing the connection if its protocol version is no longer supported.
+     *
+     * @param {number} version The protocol version of the client.
+     * @param {string} build The build ID of the client.
+     * @param {string[]} features The features supported by the client.
+     * @param {string | null} session The token of the session the client resumes, null to start one.
      * @return {void}
      */
-    #onBPHChildRemoved(snapshot) {
-        const key = snapshot.key;
-        if (key == null || !(key in this.#bph)) {
-            console.warn(`[${this.#appName}] Received removal for unknown Boops per Hour (BPH) entry (${key}) for client ${this.#id}.`);
+    #onHello(version, build, features, session) {
+        if (version < MIN_PROTOCOL_VERSION) {
+            this.#closeOutdated(version);
             return;
         }
-        const val = this.#bph[key];
-        this.#lastBPH -= val[BPH_CHANGE];
-        delete this.#bph[key];
-
-        // Clear and remove the timeout for this entry if it exists
-        const timeout = this.#bphRemoveTimeouts.get(key);
-        if (timeout != null) {
-            clearTimeout(timeout);
-            this.#bphRemoveTimeouts.delete(key);
+        const state = this.#state;
+        state.version = Math.min(version, PROTOCOL_VERSION);
+        state.build = build;
+        state.features = PROTOCOL_FEATURES.filter((feature) => features.includes(feature));
+        if (this.#supports(FEATURE_RESUME)) {
+            // Sessions are scoped to the client ID, so a client can only ever resume its own
+            state.session = session ?? crypto.randomUUID().replace(/-/g, '').slice(0, SESSION_TOKEN_LENGTH);
         }
+        this.#ws.serializeAttachment(state);
+        this.#ws.send(PROTO_WELCOME + PROTOCOL_VERSION.toString(36) + ',' + BUILD_ID + ',' + state.features.join('+') +
+            (state.session ? ',' + state.session : ''));
     }
 
     /**
-     * Handles changes to the Global Boops Count (GBC) reference.
-     * 
-     * @param {import("firebase/database").DataSnapshot} snapshot The snapshot of the GBC reference.
+     * Closes the connection of a client whose protocol version is no longer supported.
+     *
+     * @param {number} version The protocol version of the client, 0 if it never said hello.
      * @return {void}
      */
-    #onGBCChange(snapshot) {
-        const val = snapshot.val();
-        if (typeof val !== 'number') {
-            console.warn(`[${this.#appName}] Received invalid Global Boops Count (GBC) value for client ${this.#id}:`, { val });
-            return;
-        }
-        if (val === this.#lastGBC) {
-            return; // No change
-        }
-        this.#lastGBC = val;
-        this.#sendBoopCount();
+    #closeOutdated(version) {
+        console.warn(`[${this.#hub.appName}] Client ${this.#state.id} speaks protocol version ${version}, closing the connection.`);
+        this.#ws.close(VERSION_MISMATCH_ERRCODE, VERSION_MISMATCH_ERRMSG);
     }
 
     /**
-     * Synchronizes the Global Boops Count (GBC) with the Firebase database.
-     * 
-     * @param {number} [now] The current timestamp. Defaults to Date.now().
-     * @param {boolean} [finalSync=false] Whether this is the final synchronization before closing the WebSocket.
-     * @return {Promise<void>} A promise that resolves when the synchronization is complete.
+     * Whether the client supports an optional feature of the protocol.
+     *
+     * @param {string} feature The feature.
+     * @return {boolean} Whether the feature was negotiated, or predates the handshake if the client never said hello.
      */
-    #gbcSync(now, finalSync = false) {
-        if (this.#gbcSyncPromise) {
-            return this.#gbcSyncPromise;
-        }
-        now = now || Date.now();
-        if (finalSync || now - this.#lastGBCSync >= GBC_SYNC_INTERVAL) {
-            // Sync recent boops tally to the global boop count
-            this.#lastGBCSync = now;
-            if (this.#unsyncedGBC !== 0) {
-                const change = this.#unsyncedGBC;
-                this.#unsyncedGBC = 0;
-                this.#lastGBC += change;
-                this.#gbcSyncPromise = set(this.#gbcRef, increment(change)).catch((err) => {
-                    console.error(`[${this.#appName}] Failed to sync Global Boops Count (GBC) for client ${this.#id}:`, err);
-                    // Revert unsyncedGBC if sync fails
-                    this.#unsyncedGBC += change;
-                }).finally(() => {
-                    this.#gbcSyncPromise = null;
-                    if (finalSync) {
-                        return;
-                    }
-                    const now = Date.now();
-                    // If the sync interval has passed while we were syncing,
-                    // schedule the next sync immediately
-                    if (now - this.#lastGBCSync >= GBC_SYNC_INTERVAL) {
-                        if (!this.#gbcSyncInterwalWarningShown) {
-                            console.warn(`[${this.#appName}] GBC sync took too long, or the sync interval is too short, scheduling immediate sync.`);
-                            this.#gbcSyncInterwalWarningShown = true;
-                        }
-                        this.#gbcSync(now, finalSync);
-                    }
-                });
-            }
-        }
-        this.#resetGBCSyncTimeout();
-        return Promise.resolve();
+    #supports(feature) {
+        const { version, features } = this.#state;
+        return (version ? features ?? [] : LEGACY_FEATURES).includes(feature);
     }
 
     /**
-     * Resets the Global Boops Count (GBC) synchronization timeout.
-     * 
+     * Closes the connection of a client that exceeded a message limit.
+     *
+     * @param {'rate' | 'size' | 'invalid'} limit The exceeded limit.
      * @return {void}
      */
-    #resetGBCSyncTimeout() {
-        clearTimeout(this.#gbcSyncTimeout);
-        this.#gbcSyncTimeout = setTimeout(this.#boundGBCSync, GBC_SYNC_INTERVAL);
+    #closeFlooded(limit) {
+        const { id, connectedAt, received, invalid } = this.#state;
+        console.warn(`[${this.#hub.appName}] Client ${id} exceeded the ${limit} message limit, closing the connection:`, {
+            received,
+            invalid,
+            connectedFor: Date.now() - connectedAt
+        });
+        this.#ws.close(RATE_LIMITED_ERRCODE, RATE_LIMITED_ERRMSG + limit);
     }
 
     /**
-     * Sends the current boop count to the client.
-     * 
-     * @return {void}
+     * Handles a boop request or a batch of boops from the client.
+     *
+     * @param {number} boopId The boop ID sent by the client.
+     * @param {number} [batch=0] The number of boops of a batch, or 0 for a single boop request.
+     * @return {Promise<void>} A promise that resolves when the boop is handled.
      */
-    #sendBoopCount() {
-        if (this.#ws.readyState === WebSocket.OPEN) {
-            this.#ws.send(PROTO_BOOP_COUNT + (this.#lastGBC + this.#unsyncedGBC).toString(36));
+    async #onBoop(boopId, batch = 0) {
+        const result = await this.#hub.boop(this.#state.id, Math.max(batch, 1), this.#state.session ?? null, boopId);
+        if (result.bannedUntil !== 0) {
+            // Banned, possibly for this very boop, the hub closes the connections of the client
+            return;
+        }
+        if (result.challenge && this.#supports(FEATURE_CHALLENGE)) {
+            // Sent with every rejection, the client ignores the challenges it is already solving
+            this.#ws.send(PROTO_CHALLENGE + result.challenge.seed + ',' + result.challenge.difficulty.toString(36));
+        }
+        const cooldown = result.cooldownUntil === 0 ? 0 : result.cooldownUntil - result.now;
+
+        if (batch !== 0) {
+            // A single reply tells how many boops were counted, and the cooldown of the rest
+            this.#ws.send(this.#state.binary ? encodeBatchReply(boopId, result.accepted, cooldown, result.limiter) :
+                PROTO_BATCH_REPLY + boopId.toString(36) + ',' + result.accepted.toString(36) +
+                (cooldown !== 0 ? ',' + cooldown.toString(36) + (result.limiter ? ',' + result.limiter : '') : ''));
+        } else if (cooldown !== 0) {
+            // Reject the boop, naming the limiter that caused the cooldown
+            this.#ws.send(this.#state.binary ? encodeBoopReject(boopId, cooldown, result.limiter) :
+                PROTO_BOOP_REJECT + boopId.toString(36) + ',' + cooldown.toString(36) + (result.limiter ? ',' + result.limiter : ''));
+        } else {
+            // Acknowledge the boop to the client
+            this.#ws.send(this.#state.binary ? encodeBoopReply(boopId) : PROTO_BOOP_REPLY + boopId.toString(36));
+        }
+        if (result.accepted > 0) {
+            this.sendBoopCount();
+        }
+    }
+
+    /**
+     * Handles a cooldown query from the client.
+     *
+     * @param {number} queryId The query ID sent by the client.
+     * @return {Promise<void>} A promise that resolves when the query is answered.
+     */
+    async #onCooldownQuery(queryId) {
+        const { now, cooldownUntil, limiter } = await this.#hub.getCooldown(this.#state.id);
+        if (cooldownUntil !== 0) {
+            // If we are in cooldown, send the remaining time and the limiter that caused it
+            this.#ws.send(PROTO_COOLDOWN_REPLY + queryId.toString(36) + ',' + (cooldownUntil - now).toString(36) +
+                (limiter ? ',' + limiter : ''));
+            return;
         }
+
+        // If no cooldown is needed, send an empty response
+        this.#ws.send(PROTO_COOLDOWN_REPLY + queryId.toString(36));
     }
 }
 
 
 export {
     WellMaresWSHandler
-}
\ No newline at end of file
+}
@@ -0,0 +1,469 @@
+// @ts-check
+import './admin.css';
+import { strictGetElementById } from './utils';
+import {
+    ADMIN_API_URL,
+    ADMIN_SECRET_KEY,
+    ADMIN_OVERVIEW_REFRESH_INTERVAL,
+    ADMIN_LISTS_REFRESH_INTERVAL
+} from './constants';
+
+const ONE_MINUTE = 60 * 1000;
+
+// DOM elements
+const loginForm = strictGetElementById("login-form", HTMLFormElement);
+const loginSecret = strictGetElementById("login-secret", HTMLInputElement);
+const loginError = strictGetElementById("login-error", HTMLParagraphElement);
+const dashboard = strictGetElementById("dashboard", HTMLElement);
+const statusEl = strictGetElementById("status", HTMLSpanElement);
+const statCount = strictGetElementById("stat-count", HTMLSpanElement);
+const statConnections = strictGetElementById("stat-connections", HTMLSpanElement);
+const statClients = strictGetElementById("stat-clients", HTMLSpanElement);
+const hubsBody = strictGetElementById("hubs-body", HTMLTableSectionElement);
+const topBody = strictGetElementById("top-body", HTMLTableSectionElement);
+const bansBody = strictGetElementById("bans-body", HTMLTableSectionElement);
+const ipBansBody = strictGetElementById("ip-bans-body", HTMLTableSectionElement);
+const auditBody = strictGetElementById("audit-body", HTMLTableSectionElement);
+const clientForm = strictGetElementById("client-form", HTMLFormElement);
+const clientQuery = strictGetElementById("client-query", HTMLInputElement);
+const clientActionForm = strictGetElementById("client-action-form", HTMLFormElement);
+const clientIdEl = strictGetElementById("client-id", HTMLElement);
+const clientReport = strictGetElementById("client-report", HTMLPreElement);
+const clientDuration = strictGetElementById("client-duration", HTMLInputElement);
+const clientReason = strictGetElementById("client-reason", HTMLInputElement);
+const ipBanForm = strictGetElementById("ip-ban-form", HTMLFormElement);
+const ipBanRange = strictGetElementById("ip-ban-range", HTMLInputElement);
+const ipBanDuration = strictGetElementById("ip-ban-duration", HTMLInputElement);
+const ipBanReason = strictGetElementById("ip-ban-reason", HTMLInputElement);
+const configForm = strictGetElementById("config-form", HTMLFormElement);
+const configFields = strictGetElementById("config-fields", HTMLDivElement);
+const configReason = strictGetElementById("config-reason", HTMLInputElement);
+const countForm = strictGetElementById("count-form", HTMLFormElement);
+const countDelta = strictGetElementById("count-delta", HTMLInputElement);
+const countReason = strictGetElementById("count-reason", HTMLInputElement);
+
+/**
+ * An error answered by the admin API.
+ */
+class AdminApiError extends Error {
+    /**
+     * @param {number} status The HTTP status.
+     * @param {string} message The error message.
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'AdminApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * The admin secret, kept for the browser session only.
+ * @type {string | null}
+ */
+let secret = sessionStorage.getItem(ADMIN_SECRET_KEY);
+
+/**
+ * The client shown in the client panel.
+ * @type {string | null}
+ */
+let selectedClientId = null;
+
+let overviewInterval = /** @type {number | NodeJS.Timeout | null} */ (null);
+let listsInterval = /** @type {number | NodeJS.Timeout | null} */ (null);
+
+/**
+ * Calls the admin API.
+ *
+ * @param {string} method The HTTP method.
+ * @param {string} path The path below the API URL, including the query string.
+ * @param {Record<string, unknown>} [body] The JSON body.
+ * @returns {Promise<any>} A promise that resolves to the response data.
+ */
+async function api(method, path, body) {
+    /** @type {Record<string, string>} */
+    const headers = { 'Authorization': `Bearer ${secret}` };
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(ADMIN_API_URL + path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (response.status === 401) {
+            signOut('Invalid admin secret.');
+        }
+        throw new AdminApiError(response.status, data.error ?? response.statusText);
+    }
+    return data;
+}
+
+/**
+ * Shows the outcome of the last action.
+ *
+ * @param {string} text The message.
+ * @param {boolean} [isError=false] Whether the message is an error.
+ */
+function setStatus(text, isError = false) {
+    statusEl.innerText = text;
+    statusEl.classList.toggle("error", isError);
+}
+
+/**
+ * Formats a timestamp for the tables.
+ *
+ * @param {number} time The timestamp.
+ * @returns {string} The local date and time.
+ */
+function formatTime(time) {
+    return new Date(time).toLocaleString();
+}
+
+/**
+ * Builds a table cell holding text or an element.
+ *
+ * @param {string | number | HTMLElement} content The cell content.
+ * @returns {HTMLTableCellElement} The cell.
+ */
+function createCell(content) {
+    const cell = document.createElement("td");
+    if (content instanceof HTMLElement) {
+        cell.append(content);
+    } else {
+        cell.textContent = String(content);
+    }
+    return cell;
+}
+
+/**
+ * Builds a button running an action.
+ *
+ * @param {string} text The button text.
+ * @param {() => Promise<void>} action The action.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createButton(text, action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.innerText = text;
+    button.addEventListener("click", () => runAction(action));
+    return button;
+}
+
+/**
+ * Replaces the rows of a table.
+ *
+ * @param {HTMLTableSectionElement} body The table body.
+ * @param {Array<Array<string | number | HTMLElement>>} rows The cells of each row.
+ * @param {string} emptyText The text shown when there are no rows.
+ */
+function setRows(body, rows, emptyText) {
+    body.replaceChildren(...rows.map((cells) => {
+        const row = document.createElement("tr");
+        row.append(...cells.map(createCell));
+        return row;
+    }));
+    if (rows.length === 0) {
+        const cell = createCell(emptyText);
+        cell.colSpan = body.parentElement?.querySelectorAll("th").length ?? 1;
+        cell.classList.add("empty");
+        const row = document.createElement("tr");
+        row.append(cell);
+        body.append(row);
+    }
+}
+
+/**
+ * Reads the optional reason of an action.
+ *
+ * @param {HTMLInputElement} input The reason input.
+ * @returns {string | undefined} The reason.
+ */
+function readReason(input) {
+    return input.value.trim() || undefined;
+}
+
+/**
+ * Reads a duration in minutes.
+ *
+ * @param {HTMLInputElement} input The duration input.
+ * @returns {number} The duration in milliseconds.
+ */
+function readDuration(input) {
+    const minutes = input.valueAsNumber;
+    if (!Number.isInteger(minutes) || minutes < 1) {
+        throw new Error('Expected a duration of at least one minute.');
+    }
+    return minutes * ONE_MINUTE;
+}
+
+/**
+ * Runs an admin action, reporting its outcome.
+ *
+ * @param {() => Promise<void>} action The action.
+ * @returns {Promise<void>}
+ */
+async function runAction(action) {
+    try {
+        await action();
+    } catch (err) {
+        console.error('Admin action failed:', err);
+        setStatus(err instanceof Error ? err.message : String(err), true);
+    }
+}
+
+/**
+ * Refreshes the live panels: the count, the connections and the client bans.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshOverview() {
+    const { count, connections, clients, hubs, bans } = await api('GET', 'overview');
+    statCount.innerText = count.toLocaleString();
+    statConnections.innerText = connections.toLocaleString();
+    statClients.innerText = clients.toLocaleString();
+    setRows(hubsBody, hubs.map((/** @type {any} */ hub) => [hub.name, hub.connections, hub.clients]), 'No hubs');
+    setRows(bansBody, bans.map((/** @type {any} */ ban) => [
+        ban.id, ban.hub, ban.strikes, formatTime(ban.bannedUntil),
+        createButton('Unban', () => unbanClient(ban.id))
+    ]), 'No banned clients');
+}
+
+/**
+ * Refreshes the panels that are costly to build: the top clients, the IP bans and the audit log.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshLists() {
+    const [{ boopers }, { bans }, { entries }] = await Promise.all([
+        api('GET', 'top'),
+        api('GET', 'ip-bans'),
+        api('GET', 'audit')
+    ]);
+    setRows(topBody, boopers.map((/** @type {any} */ booper) => [
+        booper.id, booper.hub, booper.boops,
+        createButton('Inspect', () => selectClient(booper.id))
+    ]), 'No boops in the last hour');
+    setRows(ipBansBody, bans.map((/** @type {any} */ ban) => [
+        ban.range, formatTime(ban.bannedUntil), ban.reason ?? '',
+        createButton('Unban', async () => {
+            await api('DELETE', `ip-bans?range=${encodeURIComponent(ban.range)}`);
+            setStatus(`Unbanned ${ban.range}.`);
+            await refreshLists();
+        })
+    ]), 'No banned ranges');
+    setRows(auditBody, entries.map((/** @type {any} */ entry) => [
+        formatTime(entry.at), entry.action, entry.target ?? '', entry.reason ?? '',
+        entry.details ? JSON.stringify(entry.details) : ''
+    ]), 'No admin actions yet');
+}
+
+/**
+ * Refreshes the config form, discarding the unsaved changes.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshConfig() {
+    const { config, defaults, ranges } = await api('GET', 'config');
+    configFields.replaceChildren(...Object.keys(ranges).map((key) => {
+        const [min, max] = ranges[key];
+        const input = document.createElement("input");
+        input.type = "number";
+        input.name = key;
+        input.min = String(min);
+        input.max = String(max);
+        input.step = "1";
+        input.placeholder = String(defaults[key]);
+        // Values left empty take their default
+        input.value = config[key] !== defaults[key] ? String(config[key]) : '';
+        const label = document.createElement("label");
+        label.append(`${key} (${min} to ${max}) `, input);
+        return label;
+    }));
+}
+
+/**
+ * Refreshes every panel.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshAll() {
+    await Promise.all([refreshOverview(), refreshLists(), refreshConfig()]);
+    setStatus(`Updated at ${new Date().toLocaleTimeString()}.`);
+}
+
+/**
+ * Shows a client in the client panel.
+ *
+ * @param {string} clientId The client ID.
+ * @returns {Promise<void>}
+ */
+async function selectClient(clientId) {
+    const report = await api('GET', `clients/${encodeURIComponent(clientId)}`);
+    selectedClientId = clientId;
+    clientIdEl.innerText = clientId;
+    clientReport.innerText = JSON.stringify(report, null, 2);
+    clientActionForm.hidden = false;
+}
+
+/**
+ * Lifts the ban of a client.
+ *
+ * @param {string} clientId The client ID.
+ * @returns {Promise<void>}
+ */
+async function unbanClient(clientId) {
+    const { unbanned } = await api('DELETE', `clients/${encodeURIComponent(clientId)}/ban`, { reason: readReason(clientReason) });
+    setStatus(unbanned ? `Unbanned ${clientId}.` : `${clientId} was not banned.`);
+    await refreshOverview();
+}
+
+/**
+ * Starts the dashboard once signed in.
+ */
+function start() {
+    loginForm.hidden = true;
+    dashboard.hidden = false;
+    runAction(async () => {
+        await refreshAll();
+        overviewInterval = setInterval(() => {
+            if (!document.hidden) {
+                runAction(refreshOverview);
+            }
+        }, ADMIN_OVERVIEW_REFRESH_INTERVAL);
+        listsInterval = setInterval(() => {
+            if (!document.hidden) {
+                runAction(refreshLists);
+            }
+        }, ADMIN_LISTS_REFRESH_INTERVAL);
+    });
+}
+
+/**
+ * Forgets the admin secret and goes back to the sign in form.
+ *
+ * @param {string} [error] The reason, if signed out by an error.
+ */
+function signOut(error) {
+    secret = null;
+    sessionStorage.removeItem(ADMIN_SECRET_KEY);
+    if (overviewInterval) {
+        clearInterval(overviewInterval);
+        overviewInterval = null;
+    }
+    if (listsInterval) {
+        clearInterval(listsInterval);
+        listsInterval = null;
+    }
+    dashboard.hidden = true;
+    loginForm.hidden = false;
+    loginError.innerText = error ?? '';
+}
+
+loginForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    secret = loginSecret.value;
+    loginSecret.value = '';
+    // Check the secret before keeping it
+    api('GET', 'overview').then(() => {
+        sessionStorage.setItem(ADMIN_SECRET_KEY, /** @type {string} */ (secret));
+        loginError.innerText = '';
+        start();
+    }).catch((err) => {
+        if (!(err instanceof AdminApiError && err.status === 401)) {
+            loginError.innerText = err.message;
+        }
+    });
+});
+
+strictGetElementById("logout-btn", HTMLButtonElement).addEventListener("click", () => signOut());
+strictGetElementById("refresh-btn", HTMLButtonElement).addEventListener("click", () => runAction(refreshAll));
+
+clientForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    runAction(async () => {
+        const query = clientQuery.value.trim();
+        // Client IDs never contain the separators of IP addresses
+        if (query.includes('.') || query.includes(':')) {
+            const { id } = await api('GET', `client-id?ip=${encodeURIComponent(query)}`);
+            await selectClient(id);
+        } else {
+            await selectClient(query);
+        }
+    });
+});
+
+strictGetElementById("client-ban-btn", HTMLButtonElement).addEventListener("click", () => runAction(async () => {
+    const clientId = /** @type {string} */ (selectedClientId);
+    const { bannedUntil } = await api('PUT', `clients/${encodeURIComponent(clientId)}/ban`, {
+        duration: readDuration(clientDuration),
+        reason: readReason(clientReason)
+    });
+    setStatus(`Banned ${clientId} until ${formatTime(bannedUntil)}.`);
+    await Promise.all([selectClient(clientId), refreshOverview()]);
+}));
+
+strictGetElementById("client-unban-btn", HTMLButtonElement).addEventListener("click", () => runAction(async () => {
+    const clientId = /** @type {string} */ (selectedClientId);
+    await unbanClient(clientId);
+    await selectClient(clientId);
+}));
+
+strictGetElementById("client-reset-btn", HTMLButtonElement).addEventListener("click", () => runAction(async () => {
+    const clientId = /** @type {string} */ (selectedClientId);
+    await api('POST', `clients/${encodeURIComponent(clientId)}/reset`, { reason: readReason(clientReason) });
+    setStatus(`Reset the quota of ${clientId}.`);
+    await Promise.all([selectClient(clientId), refreshLists()]);
+}));
+
+ipBanForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    runAction(async () => {
+        const { ban } = await api('PUT', 'ip-bans', {
+            range: ipBanRange.value.trim(),
+            duration: readDuration(ipBanDuration),
+            reason: readReason(ipBanReason)
+        });
+        setStatus(`Banned ${ban.range} until ${formatTime(ban.bannedUntil)}.`);
+        ipBanRange.value = '';
+        await refreshLists();
+    });
+});
+
+configForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    runAction(async () => {
+        /** @type {Record<string, number>} */
+        const config = {};
+        for (const input of configFields.querySelectorAll("input")) {
+            if (input.value !== '') {
+                config[input.name] = input.valueAsNumber;
+            }
+        }
+        await api('PUT', 'config', { config, reason: readReason(configReason) });
+        setStatus('Saved the config, it applies everywhere within a few seconds.');
+        configReason.value = '';
+        await Promise.all([refreshConfig(), refreshLists()]);
+    });
+});
+
+countForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    runAction(async () => {
+        const { count } = await api('POST', 'count', {
+            delta: countDelta.valueAsNumber,
+            reason: countReason.value.trim()
+        });
+        setStatus(`Adjusted the count to ${count.toLocaleString()}.`);
+        countDelta.value = '';
+        countReason.value = '';
+        await Promise.all([refreshOverview(), refreshLists()]);
+    });
+});
+
+if (secret) {
+    start();
+}
@@ -1,8 +1,7 @@
 // @ts-check
-import { BoopCountEvent, BoopRejectedError, BoopTimeoutError, MareCloseEvent, MareConnection, MareNetworkError } from "./mare-connection";
-import { strictGetElementById } from "./index";
-import { getCssVariable, parseCssDuration } from "./utils";
-import { LOCAL_KEY } from "./constants";
+import { BoopBannedError, BoopCountEvent, BoopHandedOverError, BoopQueueEvent, ChallengeEvent, CooldownEvent, BoopRejectedError, BoopTimeoutError, MareCloseEvent, MareConnection, MareNetworkError } from "./mare-connection";
+import { strictGetElementById, getCssVariable, parseCssDuration } from "./utils";
+import { LOCAL_KEY, OFFLINE_QUEUE_KEY, OFFLINE_QUEUE_LIMIT } from "./constants";
 
 // DOM elements
 const boopCountEl = strictGetElementById("boop-count", HTMLSpanElement);
@@ -24,6 +23,8 @@ let lastServerCount = 0;
 
 let clearCooldown = /** @type {(() => void) | null} */ (null);
 let clearError = /** @type {(() => void) | null} */ (null);
+// Whether boops made in the current error state wait in the offline queue
+let queueingBoops = false;
 
 let boopedStateTimeout = /** @type {number | NodeJS.Timeout | null} */ (null);
 function startBoopAnimation() {
@@ -51,21 +52,33 @@ function clearButtonState() {
 /**
  * Sets the boop button to an error state with a message.
  * @param {string} text The error message to display.
+ * @param {boolean} [isReconnecting=false] Whether the connection is being reestablished.
+ * @param {boolean} [queueBoops=false] Whether to keep the button enabled, as boops wait in the offline queue.
  */
-function setError(text, isReconnecting = false) {
+function setError(text, isReconnecting = false, queueBoops = false) {
     clearButtonState();
-    boopBtn.disabled = true;
+    boopBtn.disabled = !queueBoops;
     boopBtn.innerHTML = isReconnecting ?
         text + '<span class="loading-dots"></span>' : text;
     boopBtn.classList.add(isReconnecting ? "reconnecting" : "error");
+    queueingBoops = queueBoops;
     clearError = () => {
         boopBtn.disabled = false;
         boopBtn.innerText = DEFAULT_BOOP_TEXT;
         boopBtn.classList.remove(isReconnecting ? "reconnecting" : "error");
+        queueingBoops = false;
         clearError = null;
     }
 }
 
+/**
+ * Sets the boop button to show that the connection is being reestablished, and how many boops wait for it.
+ * @param {number} queued The number of boops in the offline queue.
+ */
+function setReconnecting(queued) {
+    setError(queued === 0 ? "Reconnecting" : `${queued} boop${queued === 1 ? "" : "s"} waiting`, true, true);
+}
+
 /**
  * Sets the boop button cooldown state.
  * @param {number} ms The cooldown time in milliseconds. If 0 or less, enables the button.
@@ -108,6 +121,16 @@ function setBoopButtonCooldown(ms) {
     updateCountdownText(ms);
 }
 
+/**
+ * Sets the boop button to show until when the client is banned.
+ * @param {number} bannedUntil The ban expiry timestamp in milliseconds.
+ */
+function setBanned(bannedUntil) {
+    const until = new Date(bannedUntil);
+    const sameDay = until.toDateString() === new Date().toDateString();
+    setError(`Banned until ${sameDay ? until.toLocaleTimeString() : until.toLocaleString()}`);
+}
+
 /**
  * Updates the boop button text to show the remaining cooldown time.
  * @param {number} ms The remaining cooldown time in milliseconds.
@@ -121,7 +144,11 @@ function updateCountdownText(ms) {
     }
 }
 
-const conn = new MareConnection(WS_URL);
+const conn = new MareConnection(WS_URL, {
+    transport: "auto",
+    offlineQueue: OFFLINE_QUEUE_LIMIT,
+    offlineQueueKey: OFFLINE_QUEUE_KEY
+});
 
 conn.addEventListener("open", () => {
     conn.queryCooldown(2000).then((cooldown) => {
@@ -134,6 +161,22 @@ conn.addEventListener("open", () => {
 
 conn.addEventListener("close", (close) => {
     if (close instanceof MareCloseEvent) {
+        const bannedUntil = close.bannedUntil;
+        if (bannedUntil != null) {
+            console.warn("Banned by the server:", close.reason);
+            setBanned(bannedUntil);
+            return;
+        }
+        if (close.reloadRequired) {
+            console.warn("Outdated client:", close.reason);
+            setError("Please reload the page");
+            return;
+        }
+        if (close.maintenance) {
+            console.warn("Server under maintenance, reconnecting later.");
+            setError("Under maintenance", true);
+            return;
+        }
         if (!close.autoReconnect) {
             console.warn("Disconnected from server:", close.reason);
             setError("Disconnected");
@@ -141,7 +184,50 @@ conn.addEventListener("close", (close) => {
         }
     }
     console.warn("Connection closed, attempting to reconnect...");
-    setError("Reconnecting", true);
+    setReconnecting(conn.queuedBoops);
+});
+
+conn.addEventListener("boopqueue", (e) => {
+    if (!(e instanceof BoopQueueEvent)) {
+        console.warn("Unexpected event:", e);
+        return;
+    }
+    if (e.dropped !== 0) {
+        console.warn(`Dropped ${e.dropped} boops waiting for the connection.`);
+    }
+    if (queueingBoops) {
+        setReconnecting(e.queued);
+    }
+});
+
+conn.addEventListener("challenge", (e) => {
+    if (!(e instanceof ChallengeEvent)) {
+        console.warn("Unexpected event:", e);
+        return;
+    }
+    console.warn(`Solving a challenge of difficulty ${e.difficulty} before booping again.`);
+    setError("Verifying", true);
+});
+
+conn.addEventListener("challengesolved", () => {
+    clearButtonState();
+    conn.queryCooldown(2000).then((cooldown) => {
+        setBoopButtonCooldown(cooldown);
+    }).catch(() => {
+        console.warn("Failed to query the cooldown after the challenge.");
+    });
+});
+
+// Whatever told the connection about the cooldown, a rejected boop or a cooldown query
+conn.addEventListener("cooldownstart", (e) => {
+    if (!(e instanceof CooldownEvent)) {
+        console.warn("Unexpected event:", e);
+        return;
+    }
+    // While a challenge is being solved, the button already shows it
+    if (!conn.challengePending) {
+        setBoopButtonCooldown(e.cooldown);
+    }
 });
 
 conn.addEventListener("error", (event) => {
@@ -163,7 +249,7 @@ conn.addEventListener("boopcount", (e) => {
 });
 
 function boop() {
-    if (clearCooldown || clearError) {
+    if (clearCooldown || (clearError && !queueingBoops)) {
         return;
     }
 
@@ -184,9 +270,14 @@ function boop() {
         optimisticCount = null;
         boopCountInnerEl.innerText = lastServerCount.toString();
         if (err instanceof BoopRejectedError) {
-            setBoopButtonCooldown(err.cooldown);
+            // The button shows the cooldown on the cooldownstart event
+            console.warn(`Boop rejected by the ${err.limiter ?? "unknown"} limiter.`);
+        } else if (err instanceof BoopBannedError) {
+            setBanned(err.bannedUntil);
         } else if (err instanceof BoopTimeoutError) {
             console.warn("Boop timed out!");
+        } else if (err instanceof BoopHandedOverError) {
+            // The page is going away, the next one sends the boop
         } else if (err instanceof MareNetworkError) {
             console.warn("Network error:", err.message);
         } else {
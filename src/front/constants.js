@@ -2,4 +2,22 @@
 
 const LOCAL_KEY = "wellmares-boop-count";
 
-export { LOCAL_KEY };
\ No newline at end of file
+// Boops made while reconnecting, flushed once the connection is back
+const OFFLINE_QUEUE_KEY = "wellmares-offline-boops";
+const OFFLINE_QUEUE_LIMIT = 50;
+
+// Admin dashboard constants
+const ADMIN_API_URL = "/admin/";
+const ADMIN_SECRET_KEY = "wellmares-admin-secret";
+const ADMIN_OVERVIEW_REFRESH_INTERVAL = 2000;
+const ADMIN_LISTS_REFRESH_INTERVAL = 30000;
+
+export {
+    LOCAL_KEY,
+    OFFLINE_QUEUE_KEY,
+    OFFLINE_QUEUE_LIMIT,
+    ADMIN_API_URL,
+    ADMIN_SECRET_KEY,
+    ADMIN_OVERVIEW_REFRESH_INTERVAL,
+    ADMIN_LISTS_REFRESH_INTERVAL
+};
@@ -1,17 +1,43 @@
 // @ts-check
 
 import {
+    PROTOCOL_VERSION,
+    BUILD_ID,
+    PROTOCOL_FEATURES,
+    FEATURE_BATCH,
+    MAX_BOOP_BATCH,
+    SESSION_RESUME_WINDOW,
     PROTO_HEARTBEAT,
+    PROTO_HELLO,
+    PROTO_WELCOME,
     PROTO_BOOP_REQUEST,
     PROTO_COOLDOWN_QUERY,
+    PROTO_BOOP_BATCH,
+    PROTO_BATCH_REPLY,
     PROTO_BOOP_REPLY,
     PROTO_BOOP_REJECT,
     PROTO_BOOP_COUNT,
     PROTO_COOLDOWN_REPLY,
     PROTO_INVALID,
-    TOO_MANY_COOLDOWN_FAILS_ERRCODE,
-    HEARTBEAT_TIMEOUT
+    PROTO_CHALLENGE,
+    PROTO_CHALLENGE_ACCEPTED,
+    PROTO_CHALLENGE_SOLUTION,
+    INTERNAL_SERVER_ERROR_ERRCODE,
+    NO_HEARTBEAT_ERRCODE,
+    RATE_LIMITED_ERRCODE,
+    BANNED_ERRCODE,
+    BANNED_ERRMSG,
+    MAINTENANCE_ERRCODE,
+    VERSION_MISMATCH_ERRCODE,
+    HEARTBEAT_TIMEOUT,
+    SSE_BOOP_COUNT_EVENT
 } from "../shared/protocol";
+import {
+    BINARY_SUBPROTOCOL,
+    encodeBoopRequest,
+    encodeBoopBatch,
+    decodeServerMessage
+} from "../shared/binary-protocol";
 
 class BoopCountEvent extends Event {
     /**
@@ -53,16 +79,24 @@ class BoopRejectedError extends Error {
      */
     #cooldown;
 
+    /**
+     * Name of the rate limiter that rejected the boop.
+     * @type {string | null}
+     */
+    #limiter;
+
     /**
      * Create a new BoopRejectedError instance.
      * @param {string} message The error message.
      * @param {number} boopId The ID of the boop that was rejected.
      * @param {number} cooldown The cooldown duration in milliseconds.
+     * @param {string | null} [limiter=null] The name of the rate limiter that rejected the boop, if reported.
      */
-    constructor(message, boopId, cooldown) {
+    constructor(message, boopId, cooldown, limiter = null) {
         super(message);
         this.#boopId = boopId;
         this.#cooldown = cooldown;
+        this.#limiter = limiter;
         this.name = 'BoopRejectedError';
     }
 
@@ -83,6 +117,60 @@ class BoopRejectedError extends Error {
     get cooldown() {
         return this.#cooldown;
     }
+
+    /**
+     * Get the name of the rate limiter that rejected the boop, e.g. `bph`, `bpm` or `burst`.
+     * @readonly
+     * @returns {string | null} The limiter name, or null if the server did not report it.
+     */
+    get limiter() {
+        return this.#limiter;
+    }
+}
+
+class BoopBannedError extends Error {
+    /**
+     * Boop ID that was refused.
+     * @type {number}
+     */
+    #boopId;
+
+    /**
+     * Ban expiry timestamp in milliseconds.
+     * @type {number}
+     */
+    #bannedUntil;
+
+    /**
+     * Create a new BoopBannedError instance.
+     * @param {string} message The error message.
+     * @param {number} boopId The ID of the boop that was refused.
+     * @param {number} bannedUntil The ban expiry timestamp in milliseconds.
+     */
+    constructor(message, boopId, bannedUntil) {
+        super(message);
+        this.#boopId = boopId;
+        this.#bannedUntil = bannedUntil;
+        this.name = 'BoopBannedError';
+    }
+
+    /**
+     * Get the boop ID that was refused.
+     * @readonly
+     * @returns {number} The boop ID.
+     */
+    get boopId() {
+        return this.#boopId;
+    }
+
+    /**
+     * Get the ban expiry timestamp.
+     * @readonly
+     * @returns {number} The ban expiry timestamp in milliseconds.
+     */
+    get bannedUntil() {
+        return this.#bannedUntil;
+    }
 }
 
 class BoopTimeoutError extends Error {
@@ -141,6 +229,160 @@ class MareNetworkError extends Error {
     }
 }
 
+class BoopHandedOverError extends Error {
+    /**
+     * Create a new BoopHandedOverError instance, for a queued boop left to the next page to send.
+     * @param {string} message The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'BoopHandedOverError';
+    }
+}
+
+class ChallengeEvent extends Event {
+    /**
+     * Challenge difficulty.
+     * @type {number}
+     */
+    #difficulty;
+
+    /**
+     * Create a new ChallengeEvent instance.
+     * @param {number} difficulty The challenge difficulty, in leading zero bits.
+     * @param {EventInit} [eventInitDict] Optional event initialization options.
+     */
+    constructor(difficulty, eventInitDict) {
+        super('challenge', eventInitDict);
+        this.#difficulty = difficulty;
+    }
+
+    /**
+     * Get the challenge difficulty. Each bit doubles the expected solving time.
+     * @readonly
+     * @returns {number} The difficulty, in leading zero bits.
+     */
+    get difficulty() {
+        return this.#difficulty;
+    }
+}
+
+class CooldownEvent extends Event {
+    /**
+     * Cooldown until timestamp, or 0 once it is over.
+     * @type {number}
+     */
+    #cooldownUntil;
+
+    /**
+     * Name of the rate limiter that caused the cooldown.
+     * @type {string | null}
+     */
+    #limiter;
+
+    /**
+     * Create a new CooldownEvent instance.
+     * @param {'cooldownstart' | 'cooldownend'} type The event type.
+     * @param {number} cooldownUntil The cooldown until timestamp, or 0 once it is over.
+     * @param {string | null} limiter The name of the rate limiter that caused the cooldown, if reported.
+     * @param {EventInit} [eventInitDict] Optional event initialization options.
+     */
+    constructor(type, cooldownUntil, limiter, eventInitDict) {
+        super(type, eventInitDict);
+        this.#cooldownUntil = cooldownUntil;
+        this.#limiter = limiter;
+    }
+
+    /**
+     * Get the cooldown until timestamp.
+     * @readonly
+     * @returns {number} The timestamp in milliseconds, or 0 once the cooldown is over.
+     */
+    get cooldownUntil() {
+        return this.#cooldownUntil;
+    }
+
+    /**
+     * Get the remaining cooldown.
+     * @readonly
+     * @returns {number} The remaining cooldown in milliseconds, 0 once it is over.
+     */
+    get cooldown() {
+        return Math.max(0, this.#cooldownUntil - Date.now());
+    }
+
+    /**
+     * Get the name of the rate limiter that caused the cooldown, e.g. `bph`, `bpm` or `burst`.
+     * @readonly
+     * @returns {string | null} The limiter name, or null if the server did not report it.
+     */
+    get limiter() {
+        return this.#limiter;
+    }
+}
+
+class BoopQueueEvent extends Event {
+    /**
+     * Number of boops waiting in the offline queue.
+     * @type {number}
+     */
+    #queued;
+
+    /**
+     * Number of boops flushed since the last event.
+     * @type {number}
+     */
+    #flushed;
+
+    /**
+     * Number of boops dropped since the last event.
+     * @type {number}
+     */
+    #dropped;
+
+    /**
+     * Create a new BoopQueueEvent instance.
+     * @param {number} queued The number of boops waiting in the offline queue.
+     * @param {number} flushed The number of boops flushed since the last event.
+     * @param {number} dropped The number of boops dropped since the last event.
+     * @param {EventInit} [eventInitDict] Optional event initialization options.
+     */
+    constructor(queued, flushed, dropped, eventInitDict) {
+        super('boopqueue', eventInitDict);
+        this.#queued = queued;
+        this.#flushed = flushed;
+        this.#dropped = dropped;
+    }
+
+    /**
+     * Get the number of boops waiting in the offline queue.
+     * @readonly
+     * @returns {number} The number of queued boops.
+     */
+    get queued() {
+        return this.#queued;
+    }
+
+    /**
+     * Get the number of boops the server counted since the last event.
+     * @readonly
+     * @returns {number} The number of flushed boops.
+     */
+    get flushed() {
+        return this.#flushed;
+    }
+
+    /**
+     * Get the number of boops dropped since the last event, because the queue was full,
+     * they waited too long or the connection will not be reestablished.
+     * @readonly
+     * @returns {number} The number of dropped boops.
+     */
+    get dropped() {
+        return this.#dropped;
+    }
+}
+
 class MareCloseEvent extends CloseEvent {
     /**
      * Flag indicating if the connection will be reestablished automatically.
@@ -166,15 +408,104 @@ class MareCloseEvent extends CloseEvent {
     get autoReconnect() {
         return this.#autoReconnect;
     }
+
+    /**
+     * Get the ban expiry if the server closed the connection because the client is banned.
+     * @readonly
+     * @returns {number | null} The ban expiry timestamp in milliseconds, or null if not banned.
+     */
+    get bannedUntil() {
+        if (this.code !== BANNED_ERRCODE || !this.reason.startsWith(BANNED_ERRMSG)) {
+            return null;
+        }
+        const bannedUntil = Date.parse(this.reason.slice(BANNED_ERRMSG.length));
+        return isNaN(bannedUntil) ? null : bannedUntil;
+    }
+
+    /**
+     * Check if the server closed the connection for maintenance.
+     * @readonly
+     * @returns {boolean} True if the server is under maintenance, false otherwise.
+     */
+    get maintenance() {
+        return this.code === MAINTENANCE_ERRCODE;
+    }
+
+    /**
+     * Check if the server refused the protocol version of the client, which must be reloaded.
+     * @readonly
+     * @returns {boolean} True if the page must be reloaded, false otherwise.
+     */
+    get reloadRequired() {
+        return this.code === VERSION_MISMATCH_ERRCODE;
+    }
 }
 
 // 5 seconds less than the timeout to allow for network delays
 const HEARTBEAT_INTERVAL_MS = HEARTBEAT_TIMEOUT - 5_000;
 
+// Boops made within this delay are sent as one batch, if the server supports batches.
+const BOOP_BATCH_WINDOW_MS = 10;
+
 const BACKOFF_BASE_MS = 1_000;
 const BACKOFF_MAX_MS = 30_000;
+// Spread the reconnections of the clients closed for maintenance.
+const MAINTENANCE_RETRY_MIN_MS = 30_000;
+const MAINTENANCE_RETRY_MAX_MS = 90_000;
 const NOOP = () => { };
 
+// Boops made while disconnected are flushed after reconnecting by chunks, spaced by the interval
+// plus a random jitter to stay well below the burst limit without a bot-like rhythm.
+const OFFLINE_FLUSH_CHUNK = 8;
+const OFFLINE_FLUSH_INTERVAL_MS = 500;
+const OFFLINE_FLUSH_JITTER_MS = 250;
+// Queued boops older than this are dropped instead of flushed.
+const OFFLINE_BOOP_MAX_AGE_MS = 60 * 60_000;
+const DEFAULT_OFFLINE_QUEUE_KEY = 'mare-offline-boops';
+
+// Number of consecutive WebSocket attempts that must fail before opening
+// before the `auto` transport falls back to Server-Sent Events.
+const WS_FALLBACK_ATTEMPTS = 2;
+const DEFAULT_EVENTS_PATH = '/events';
+const DEFAULT_BOOP_PATH = '/api/boop';
+const DEFAULT_CHALLENGE_PATH = '/api/challenge';
+
+/**
+ * @typedef {'websocket' | 'sse' | 'auto'} MareTransport
+ */
+
+/**
+ * What `boop()` does during a known cooldown: `reject` fails with a {@link BoopRejectedError} without
+ * sending anything, `defer` waits for the cooldown to end before sending the boop.
+ * @typedef {'reject' | 'defer'} MareCooldownMode
+ */
+
+/**
+ * What the server announced in the protocol handshake.
+ * @typedef {Object} MareCapabilities
+ * @property {number} version The protocol version of the server.
+ * @property {string} buildId The build ID of the server, differs from ours once a new build is deployed.
+ * @property {ReadonlySet<string>} features The optional features supported by both sides.
+ */
+
+/**
+ * @typedef {Object} MareConnectionOptions
+ * @property {MareTransport} [transport='websocket'] The transport to use. `auto` starts with a WebSocket
+ * and falls back to Server-Sent Events for reading and HTTP POST for boops when it cannot be established.
+ * @property {string} [eventsUrl] The Server-Sent Events URL. Defaults to `/events` on the host of the WebSocket URL.
+ * @property {string} [boopUrl] The HTTP boop URL. Defaults to `/api/boop` on the host of the WebSocket URL.
+ * @property {string} [challengeUrl] The HTTP challenge solution URL. Defaults to `/api/challenge` on the host of the WebSocket URL.
+ * @property {boolean} [binary=true] Whether to offer the binary sub-protocol, servers that do not support it
+ * answer with the text protocol.
+ * @property {number} [offlineQueue=0] The number of boops held while the WebSocket is reconnecting, and flushed
+ * once it is open again. 0 disables the offline queue, so boops made while disconnected are rejected.
+ * @property {string | null} [offlineQueueKey='mare-offline-boops'] The `localStorage` key the queued boops are saved
+ * to when the page is hidden for good, to be flushed by the next page, rejecting their promises with a
+ * {@link BoopHandedOverError}. Null keeps the queue in memory.
+ * @property {MareCooldownMode} [cooldownMode='reject'] What boops do during the cooldown the server last reported,
+ * as the server closes the connections that keep booping through it.
+ */
+
 class MareConnection extends EventTarget {
     /**
      * URL to connect to.
@@ -186,7 +517,7 @@ class MareConnection extends EventTarget {
      * WebSocket instance.
      * @type {WebSocket}
      */
-    #ws;
+    #ws = /** @type {any} */ (null);
 
     /**
      * Unhook WebSocket event handlers.
@@ -242,6 +573,48 @@ class MareConnection extends EventTarget {
      */
     #pendingBoops = new Map();
 
+    /**
+     * Boops waiting to be sent as a batch, by boop id.
+     * @type {Map<number, [() => void, (error: any) => void]>}
+     */
+    #queuedBoops = new Map();
+
+    /**
+     * Timeout ID of the next batch.
+     * @type {number | NodeJS.Timeout | null}
+     */
+    #batchTimeout = null;
+
+    /**
+     * Pending batches by id, the id of their first boop, with their boops by id.
+     * @type {Map<number, Map<number, [() => void, (error: any) => void]>>}
+     */
+    #pendingBatches = new Map();
+
+    /**
+     * Session token issued by the server, sent in the hello to resume the session.
+     * @type {string | null}
+     */
+    #sessionToken = null;
+
+    /**
+     * Boops sent on a closed WebSocket and never answered, re-sent with the same ids once the session is resumed.
+     * @type {Map<number, [() => void, (error: any) => void]>}
+     */
+    #unackedBoops = new Map();
+
+    /**
+     * Batches sent on a closed WebSocket and never answered, re-sent with the same ids once the session is resumed.
+     * @type {Map<number, Map<number, [() => void, (error: any) => void]>>}
+     */
+    #unackedBatches = new Map();
+
+    /**
+     * Timeout ID rejecting the unanswered boops once the session can no longer be resumed.
+     * @type {number | NodeJS.Timeout | null}
+     */
+    #resumeTimeout = null;
+
     /**
      * Last cooldown query id.
      * @type {number}
@@ -254,27 +627,203 @@ class MareConnection extends EventTarget {
      */
     #pendingCooldownQueries = new Map();
 
+    /**
+     * Requested transport.
+     * @type {MareTransport}
+     */
+    #transportOption;
+
+    /**
+     * Flag indicating if the binary sub-protocol is offered.
+     * @type {boolean}
+     */
+    #binaryOption;
+
+    /**
+     * Transport currently in use.
+     * @type {'websocket' | 'sse'}
+     */
+    #transport = 'websocket';
+
+    /**
+     * Server-Sent Events URL.
+     * @type {string}
+     */
+    #eventsUrl;
+
+    /**
+     * HTTP boop URL.
+     * @type {string}
+     */
+    #boopUrl;
+
+    /**
+     * HTTP challenge solution URL.
+     * @type {string}
+     */
+    #challengeUrl;
+
+    /**
+     * EventSource instance, when using Server-Sent Events.
+     * @type {EventSource | null}
+     */
+    #eventSource = null;
+
+    /**
+     * Unhook EventSource event handlers.
+     * @type {() => void}
+     */
+    #unhookES = NOOP;
+
+    /**
+     * Flag indicating if the EventSource is open.
+     * @type {boolean}
+     */
+    #esOpen = false;
+
+    /**
+     * Flag indicating if the current WebSocket has ever opened.
+     * @type {boolean}
+     */
+    #wsOpened = false;
+
+    /**
+     * Number of consecutive WebSocket attempts that failed before opening.
+     * @type {number}
+     */
+    #wsFailures = 0;
+
+    /**
+     * Seed of the proof of work challenge being solved.
+     * @type {string | null}
+     */
+    #challengeSeed = null;
+
+    /**
+     * Web Worker solving the proof of work challenge.
+     * @type {Worker | null}
+     */
+    #challengeWorker = null;
+
+    /**
+     * Capabilities negotiated in the protocol handshake of the current WebSocket.
+     * @type {Readonly<MareCapabilities> | null}
+     */
+    #capabilities = null;
+
+    /**
+     * Cooldown until timestamp last reported by the server, or 0 if not in cooldown.
+     * @type {number}
+     */
+    #cooldownUntil = 0;
+
+    /**
+     * Name of the rate limiter that caused the cooldown.
+     * @type {string | null}
+     */
+    #cooldownLimiter = null;
+
+    /**
+     * Timeout ID of the end of the cooldown.
+     * @type {number | NodeJS.Timeout | null}
+     */
+    #cooldownTimeout = null;
+
+    /**
+     * What boops do during the cooldown.
+     * @type {MareCooldownMode}
+     */
+    #cooldownMode;
+
+    /**
+     * Boops deferred until the end of the cooldown.
+     * @type {Array<() => void>}
+     */
+    #deferredBoops = [];
+
+    /**
+     * Maximum number of boops held while disconnected, 0 if the offline queue is disabled.
+     * @type {number}
+     */
+    #offlineQueueLimit;
+
+    /**
+     * The `localStorage` key of the offline queue, or null to keep it in memory.
+     * @type {string | null}
+     */
+    #offlineQueueKey;
+
+    /**
+     * Boops made while disconnected, oldest first, with the time they were made.
+     * @type {Array<[number, () => void, (error: any) => void]>}
+     */
+    #offlineBoops = [];
+
+    /**
+     * Timeout ID of the next offline queue flush.
+     * @type {number | NodeJS.Timeout | null}
+     */
+    #offlineFlushTimeout = null;
+
+    /**
+     * Flag indicating if a chunk of the offline queue is being sent.
+     * @type {boolean}
+     */
+    #offlineFlushing = false;
+
     /**
      * Create a new MareConnection instance.
      * @param {string} url The URL to connect to.
+     * @param {MareConnectionOptions} [options] Connection options.
      */
-    constructor(url) {
+    constructor(url, options = {}) {
         super();
 
         if (typeof url !== 'string' || (!url.startsWith('ws://') && !url.startsWith('wss://'))) {
             throw new TypeError('Invalid URL');
         }
+        /** @type {URL} */
+        let httpUrl;
         try {
-            new URL(url);
+            httpUrl = new URL(url);
         } catch (e) {
             throw new TypeError('Invalid URL');
         }
+        httpUrl.protocol = httpUrl.protocol === 'wss:' ? 'https:' : 'http:';
 
-        this.#url = url;
-        this.#ws = new WebSocket(url);
+        const transport = options.transport ?? 'websocket';
+        if (transport !== 'websocket' && transport !== 'sse' && transport !== 'auto') {
+            throw new TypeError('Invalid transport');
+        }
+        const offlineQueue = options.offlineQueue ?? 0;
+        if (!Number.isSafeInteger(offlineQueue) || offlineQueue < 0) {
+            throw new TypeError('Invalid offline queue size');
+        }
+        const cooldownMode = options.cooldownMode ?? 'reject';
+        if (cooldownMode !== 'reject' && cooldownMode !== 'defer') {
+            throw new TypeError('Invalid cooldown mode');
+        }
 
-        // Hook up WebSocket event handlers.
-        this.#hookWS();
+        this.#url = url;
+        this.#transportOption = transport;
+        this.#binaryOption = options.binary ?? true;
+        this.#eventsUrl = options.eventsUrl ?? new URL(DEFAULT_EVENTS_PATH, httpUrl).href;
+        this.#boopUrl = options.boopUrl ?? new URL(DEFAULT_BOOP_PATH, httpUrl).href;
+        this.#challengeUrl = options.challengeUrl ?? new URL(DEFAULT_CHALLENGE_PATH, httpUrl).href;
+        this.#offlineQueueLimit = offlineQueue;
+        this.#cooldownMode = cooldownMode;
+        this.#offlineQueueKey = offlineQueue !== 0 ? options.offlineQueueKey ?? DEFAULT_OFFLINE_QUEUE_KEY : null;
+        this.#claimOfflineBoops();
+
+        if (transport === 'sse') {
+            this.#transport = 'sse';
+            this.#openEventSource();
+        } else {
+            this.#ws = this.#createWebSocket();
+
+            // Hook up WebSocket event handlers.
+            this.#hookWS();
+        }
 
         window.addEventListener('focus', () => {
             if (this.#connectOnFocus) {
@@ -282,6 +831,70 @@ class MareConnection extends EventTarget {
                 this.connect();
             }
         });
+        if (this.#offlineQueueKey != null) {
+            // The boops still queued when the page goes away are left to the next page.
+            window.addEventListener('pagehide', () => this.#storeOfflineBoops());
+            window.addEventListener('pageshow', (event) => {
+                if (event.persisted) {
+                    this.#claimOfflineBoops();
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the transport currently in use.
+     * @readonly
+     * @returns {'websocket' | 'sse'} The transport.
+     */
+    get transport() {
+        return this.#transport;
+    }
+
+    /**
+     * Check if the current WebSocket uses the binary sub-protocol.
+     * @readonly
+     * @returns {boolean} True if the server accepted the binary sub-protocol, false otherwise.
+     */
+    get binary() {
+        return this.#transport === 'websocket' && this.#ws.protocol === BINARY_SUBPROTOCOL;
+    }
+
+    /**
+     * Get the capabilities negotiated with the server, a `welcome` event is dispatched once they are known.
+     * @readonly
+     * @returns {Readonly<MareCapabilities> | null} The capabilities, or null until the server answers the handshake
+     * or if the transport is not a WebSocket.
+     */
+    get capabilities() {
+        return this.#capabilities;
+    }
+
+    /**
+     * Check if a proof of work challenge is being solved, the server rejects boops until it is.
+     * @readonly
+     * @returns {boolean} True if a challenge is being solved, false otherwise.
+     */
+    get challengePending() {
+        return this.#challengeSeed != null;
+    }
+
+    /**
+     * Get the cooldown the server last reported, `cooldownstart` and `cooldownend` events are dispatched when it changes.
+     * @readonly
+     * @returns {number} The remaining cooldown in milliseconds, 0 if not in cooldown.
+     */
+    get cooldown() {
+        return Math.max(0, this.#cooldownUntil - Date.now());
+    }
+
+    /**
+     * Get the number of boops waiting in the offline queue, a `boopqueue` event is dispatched when it changes.
+     * @readonly
+     * @returns {number} The number of queued boops.
+     */
+    get queuedBoops() {
+        return this.#offlineBoops.length;
     }
 
     /**
@@ -290,6 +903,11 @@ class MareConnection extends EventTarget {
      */
     connect() {
         this.#reconnectOnClose = true;
+        if (this.#transport === 'sse') {
+            if (this.#eventSource || this.#backoffTimeout) return;
+            this.#openEventSource();
+            return;
+        }
         if (this.#ws.readyState === WebSocket.OPEN || this.#ws.readyState === WebSocket.CONNECTING) {
             // The websocket is already open or in the process of connecting.
             return;
@@ -300,7 +918,7 @@ class MareConnection extends EventTarget {
         }
         if (this.#ws.readyState === WebSocket.CLOSED) {
             if (this.#backoffTimeout) return;
-            this.#ws = new WebSocket(this.#url);
+            this.#ws = this.#createWebSocket();
             this.#hookWS();
             return;
         }
@@ -314,74 +932,393 @@ class MareConnection extends EventTarget {
     disconnect() {
         this.#reconnectOnClose = false;
         this.#clearBackoff();
+        if (this.#transport === 'sse') {
+            this.#closeEventSource(false);
+            return;
+        }
         if (this.#ws.readyState === WebSocket.CLOSED || this.#ws.readyState === WebSocket.CLOSING) {
             this.#reconnectImmediately = false;
+            this.#rejectUnackedBoops();
+            this.#dropOfflineBoops();
             return;
         }
         if (this.#ws.readyState === WebSocket.OPEN || this.#ws.readyState === WebSocket.CONNECTING) {
             this.#ws.close();
             return;
         }
-        console.warn('WebSocket is in an unexpected state:', this.#ws.readyState);
+        console.warn('WebSocket is in an unexpected state:', this.#ws.readyState);
+    }
+
+    /**
+     * Reconnect to the server.
+     * @returns {void}
+     */
+    reconnect() {
+        this.#reconnectOnClose = true;
+        this.#clearBackoff();
+        if (this.#transport === 'sse') {
+            this.#closeEventSource(true);
+            if (this.#transportOption === 'auto') {
+                // Give the WebSocket another chance.
+                this.#transport = 'websocket';
+                this.#wsFailures = 0;
+            }
+            this.connect();
+            return;
+        }
+        if (this.#ws.readyState === WebSocket.CLOSED) {
+            this.connect();
+            return;
+        }
+        if (this.#ws.readyState === WebSocket.CLOSING) {
+            this.#reconnectImmediately = true;
+            return;
+        }
+        if (this.#ws.readyState === WebSocket.OPEN || this.#ws.readyState === WebSocket.CONNECTING) {
+            this.#reconnectImmediately = true;
+            this.#ws.close();
+            return;
+        }
+        console.warn('WebSocket is in an unexpected state:', this.#ws.readyState);
+    }
+
+    /**
+     * Send a boop to the server. With the offline queue enabled, a boop made while the WebSocket is
+     * reconnecting waits in the queue. During the cooldown, the boop is rejected or deferred depending on
+     * the cooldown mode. A waiting boop's timeout only applies once it is sent.
+     * @param {number} [timeoutMs] The timeout in milliseconds for the boop.
+     * @return {Promise<void>} A promise that resolves when the boop is accepted or rejects if it is rejected/timed out/connection closes.
+     */
+    boop(timeoutMs) {
+        if (typeof timeoutMs !== 'number' || timeoutMs < 0 || timeoutMs > Number.MAX_SAFE_INTEGER || isNaN(timeoutMs) || !isFinite(timeoutMs)) {
+            timeoutMs = 0;
+        }
+        if (this.#offlineQueueLimit !== 0 && this.#reconnectOnClose && this.#transport === 'websocket' &&
+            this.#ws.readyState !== WebSocket.OPEN) {
+            return new Promise((resolve, reject) => this.#queueOfflineBoop(resolve, reject));
+        }
+        const cooldown = this.#cooldownUntil - Date.now();
+        if (cooldown > 0) {
+            if (this.#cooldownMode === 'defer') {
+                return this.#deferBoop(timeoutMs);
+            }
+            // Booping through a known cooldown would get the connection closed.
+            const boopId = ++this.#lastBoopId;
+            return Promise.reject(new BoopRejectedError(`Boop ${boopId} has been rejected during the cooldown. Cooldown: ${cooldown} ms`, boopId, cooldown, this.#cooldownLimiter));
+        }
+        return this.#sendBoop(timeoutMs);
+    }
+
+    /**
+     * Send a boop once the cooldown is over. The deferred boops are sent together, so the ones
+     * rejected for a new cooldown wait for its end in turn.
+     * @param {number} timeoutMs The timeout in milliseconds for the boop once sent, 0 for none.
+     * @return {Promise<void>} A promise that resolves when the boop is accepted or rejects if it fails.
+     */
+    #deferBoop(timeoutMs) {
+        /** @type {Promise<void>} */
+        const cooldownEnd = new Promise((resolve) => this.#deferredBoops.push(resolve));
+        return cooldownEnd.then(() => this.boop(timeoutMs)).catch((error) => {
+            if (error instanceof BoopRejectedError && this.#cooldownUntil > Date.now()) {
+                return this.#deferBoop(timeoutMs);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Remember the cooldown reported by the server, replacing the previous one.
+     * @param {number} cooldown The cooldown in milliseconds, 0 if not in cooldown.
+     * @param {string | null} limiter The name of the rate limiter that caused the cooldown.
+     * @returns {void}
+     */
+    #setCooldown(cooldown, limiter) {
+        if (cooldown <= 0) {
+            this.#endCooldown();
+            return;
+        }
+        const cooldownUntil = Date.now() + cooldown;
+        if (this.#cooldownTimeout != null) {
+            clearTimeout(this.#cooldownTimeout);
+        }
+        this.#cooldownTimeout = setTimeout(() => this.#endCooldown(), cooldown);
+        this.#cooldownUntil = cooldownUntil;
+        this.#cooldownLimiter = limiter;
+        this.dispatchEvent(new CooldownEvent('cooldownstart', cooldownUntil, limiter));
+    }
+
+    /**
+     * End the cooldown and send the deferred boops.
+     * @returns {void}
+     */
+    #endCooldown() {
+        if (this.#cooldownTimeout != null) {
+            clearTimeout(this.#cooldownTimeout);
+            this.#cooldownTimeout = null;
+        }
+        if (this.#cooldownUntil === 0) {
+            return;
+        }
+        const limiter = this.#cooldownLimiter;
+        this.#cooldownUntil = 0;
+        this.#cooldownLimiter = null;
+        this.dispatchEvent(new CooldownEvent('cooldownend', 0, limiter));
+        for (const send of this.#deferredBoops.splice(0)) {
+            send();
+        }
+    }
+
+    /**
+     * Send a boop to the server, over the current transport.
+     * @param {number} timeoutMs The timeout in milliseconds for the boop, 0 for none.
+     * @return {Promise<void>} A promise that resolves when the boop is accepted or rejects if it is rejected/timed out/connection closes.
+     */
+    #sendBoop(timeoutMs) {
+        if (this.#transport === 'sse') {
+            return this.#httpBoop(timeoutMs);
+        }
+        return new Promise((resolve, reject) => {
+            if (this.#ws.readyState !== WebSocket.OPEN) {
+                setTimeout(() => reject(new Error(this.#getWSStateMessage())), 0);
+                return;
+            }
+            const boopId = ++this.#lastBoopId;
+            /** @type {[() => void, (error: any) => void]} */
+            let boop = [resolve, reject];
+            if (timeoutMs !== 0) {
+                const timeoutId = setTimeout(() => {
+                    this.#pendingBoops.delete(boopId);
+                    this.#unackedBoops.delete(boopId);
+                    // A boop of a batch already sent settles again when the batch is answered, which does nothing.
+                    this.#queuedBoops.delete(boopId);
+                    reject(new BoopTimeoutError(`Boop ${boopId} timed out after ${timeoutMs} ms`, boopId, timeoutMs));
+                }, timeoutMs);
+                const wrappedResolve = () => {
+                    clearTimeout(timeoutId);
+                    resolve();
+                }
+                const wrappedReject = (error) => {
+                    clearTimeout(timeoutId);
+                    reject(error);
+                };
+                boop = [wrappedResolve, wrappedReject];
+            }
+            if (this.#capabilities?.features.has(FEATURE_BATCH)) {
+                this.#queueBoop(boopId, boop);
+                return;
+            }
+            this.#ws.send(this.binary ? encodeBoopRequest(boopId) : PROTO_BOOP_REQUEST + boopId.toString(36));
+            this.#pendingBoops.set(boopId, boop);
+        });
+    }
+
+    /**
+     * Hold a boop made while disconnected in the offline queue, or drop it if the queue is full.
+     * @param {() => void} resolve Resolves the boop once the server counted it.
+     * @param {(error: any) => void} reject Rejects the boop.
+     * @returns {void}
+     */
+    #queueOfflineBoop(resolve, reject) {
+        if (this.#offlineBoops.length >= this.#offlineQueueLimit) {
+            setTimeout(() => reject(new MareNetworkError(`Boop dropped, ${this.#offlineBoops.length} boops are already waiting for the connection`)), 0);
+            this.dispatchEvent(new BoopQueueEvent(this.#offlineBoops.length, 0, 1));
+            return;
+        }
+        this.#offlineBoops.push([Date.now(), resolve, reject]);
+        this.dispatchEvent(new BoopQueueEvent(this.#offlineBoops.length, 0, 0));
+    }
+
+    /**
+     * Schedule the next flush of the offline queue, if it holds boops.
+     * @param {number} delay The delay in milliseconds.
+     * @returns {void}
+     */
+    #scheduleOfflineFlush(delay) {
+        if (this.#offlineBoops.length === 0 || this.#offlineFlushing) {
+            return;
+        }
+        if (this.#offlineFlushTimeout != null) {
+            clearTimeout(this.#offlineFlushTimeout);
+        }
+        this.#offlineFlushTimeout = setTimeout(() => {
+            this.#offlineFlushTimeout = null;
+            this.#flushOfflineBoops();
+        }, delay);
+    }
+
+    /**
+     * Send the next chunk of the offline queue. Boops rejected for a cooldown go back to the front of
+     * the queue until the cooldown is over, and the ones lost with the connection until it reopens.
+     * @returns {void}
+     */
+    #flushOfflineBoops() {
+        if (this.#transport === 'websocket' && this.#ws.readyState !== WebSocket.OPEN) {
+            // Flushed again once it reopens.
+            return;
+        }
+        const cooldown = this.#cooldownUntil - Date.now();
+        if (cooldown > 0) {
+            this.#scheduleOfflineFlush(cooldown);
+            return;
+        }
+        const expired = this.#dropExpiredOfflineBoops();
+        const chunk = this.#offlineBoops.splice(0, OFFLINE_FLUSH_CHUNK);
+        if (chunk.length === 0) {
+            if (expired !== 0) {
+                this.dispatchEvent(new BoopQueueEvent(0, 0, expired));
+            }
+            return;
+        }
+        this.#offlineFlushing = true;
+        /** @type {Array<[number, () => void, (error: any) => void]>} */
+        const retry = [];
+        let flushed = 0;
+        let dropped = expired;
+        Promise.all(chunk.map((boop) => this.#sendBoop(0).then(() => {
+            flushed++;
+            boop[1]();
+        }, (error) => {
+            if (error instanceof BoopBannedError) {
+                dropped++;
+                boop[2](error);
+                return;
+            }
+            // Rejected boops are retried once the cooldown is over, see above.
+            retry.push(boop);
+        }))).then(() => {
+            this.#offlineFlushing = false;
+            retry.sort((a, b) => a[0] - b[0]);
+            this.#offlineBoops.unshift(...retry);
+            this.dispatchEvent(new BoopQueueEvent(this.#offlineBoops.length, flushed, dropped));
+            this.#scheduleOfflineFlush(OFFLINE_FLUSH_INTERVAL_MS + Math.random() * OFFLINE_FLUSH_JITTER_MS);
+        });
+    }
+
+    /**
+     * Drop the boops that waited too long in the offline queue.
+     * @returns {number} The number of dropped boops.
+     */
+    #dropExpiredOfflineBoops() {
+        const minQueuedAt = Date.now() - OFFLINE_BOOP_MAX_AGE_MS;
+        const expired = this.#offlineBoops.findIndex(([queuedAt]) => queuedAt >= minQueuedAt);
+        const dropped = this.#offlineBoops.splice(0, expired === -1 ? this.#offlineBoops.length : expired);
+        for (const [_, __, reject] of dropped) {
+            reject(new MareNetworkError('Boop dropped after waiting too long for the connection'));
+        }
+        return dropped.length;
+    }
+
+    /**
+     * Drop every boop of the offline queue, as the connection will not be reestablished.
+     * @returns {void}
+     */
+    #dropOfflineBoops() {
+        if (this.#offlineFlushTimeout != null) {
+            clearTimeout(this.#offlineFlushTimeout);
+            this.#offlineFlushTimeout = null;
+        }
+        const dropped = this.#offlineBoops.splice(0);
+        if (dropped.length === 0) {
+            return;
+        }
+        for (const [_, __, reject] of dropped) {
+            reject(new MareNetworkError('Boop dropped as the connection was closed'));
+        }
+        this.dispatchEvent(new BoopQueueEvent(0, 0, dropped.length));
+    }
+
+    /**
+     * Save the offline queue to `localStorage` for the next page, along with the boops other pages left there.
+     * The boops of this page are handed over, so they are not flushed twice if the page comes back.
+     * @returns {void}
+     */
+    #storeOfflineBoops() {
+        if (this.#offlineQueueKey == null || this.#offlineBoops.length === 0) {
+            return;
+        }
+        const boops = this.#offlineBoops.splice(0);
+        try {
+            const stored = parseOfflineBoops(localStorage.getItem(this.#offlineQueueKey));
+            const times = stored.concat(boops.map(([queuedAt]) => queuedAt)).sort((a, b) => a - b);
+            localStorage.setItem(this.#offlineQueueKey, JSON.stringify(times.slice(-this.#offlineQueueLimit)));
+        } catch (error) {
+            console.warn('Failed to save the offline boops:', error);
+        }
+        for (const [_, __, reject] of boops) {
+            reject(new BoopHandedOverError('Boop saved for the next page'));
+        }
+    }
+
+    /**
+     * Take over the boops left in `localStorage` by the previous pages, to be flushed with the offline queue.
+     * @returns {void}
+     */
+    #claimOfflineBoops() {
+        if (this.#offlineQueueKey == null) {
+            return;
+        }
+        /** @type {number[]} */
+        let times;
+        try {
+            times = parseOfflineBoops(localStorage.getItem(this.#offlineQueueKey));
+            localStorage.removeItem(this.#offlineQueueKey);
+        } catch (error) {
+            console.warn('Failed to load the offline boops:', error);
+            return;
+        }
+        const room = this.#offlineQueueLimit - this.#offlineBoops.length;
+        if (times.length === 0 || room <= 0) {
+            return;
+        }
+        /** @type {Array<[number, () => void, (error: any) => void]>} */
+        const boops = times.slice(-room).map((queuedAt) => [queuedAt, NOOP, NOOP]);
+        this.#offlineBoops = boops.concat(this.#offlineBoops);
+        // Claimed from the constructor, before the listeners can be added.
+        const event = new BoopQueueEvent(this.#offlineBoops.length, 0, 0);
+        setTimeout(() => this.dispatchEvent(event), 0);
+        if (this.#transport === 'sse' || this.#ws?.readyState === WebSocket.OPEN) {
+            this.#scheduleOfflineFlush(0);
+        }
     }
 
     /**
-     * Reconnect to the server.
+     * Queue a boop to be sent with the other boops made within the batch window.
+     * @param {number} boopId The boop id.
+     * @param {[() => void, (error: any) => void]} boop The boop callbacks.
      * @returns {void}
      */
-    reconnect() {
-        this.#reconnectOnClose = true;
-        this.#clearBackoff();
-        if (this.#ws.readyState === WebSocket.CLOSED) {
-            this.connect();
-            return;
-        }
-        if (this.#ws.readyState === WebSocket.CLOSING) {
-            this.#reconnectImmediately = true;
-            return;
-        }
-        if (this.#ws.readyState === WebSocket.OPEN || this.#ws.readyState === WebSocket.CONNECTING) {
-            this.#reconnectImmediately = true;
-            this.#ws.close();
+    #queueBoop(boopId, boop) {
+        this.#queuedBoops.set(boopId, boop);
+        if (this.#queuedBoops.size >= MAX_BOOP_BATCH) {
+            this.#sendBatch();
             return;
         }
-        console.warn('WebSocket is in an unexpected state:', this.#ws.readyState);
+        this.#batchTimeout ??= setTimeout(() => this.#sendBatch(), BOOP_BATCH_WINDOW_MS);
     }
 
     /**
-     * Send a boop to the server.
-     * @param {number} [timeoutMs] The timeout in milliseconds for the boop.
-     * @return {Promise<void>} A promise that resolves when the boop is accepted or rejects if it is rejected/timed out/connection closes.
+     * Send the queued boops, as a single boop request if there is only one.
+     * @returns {void}
      */
-    boop(timeoutMs) {
-        if (typeof timeoutMs !== 'number' || timeoutMs < 0 || timeoutMs > Number.MAX_SAFE_INTEGER || isNaN(timeoutMs) || !isFinite(timeoutMs)) {
-            timeoutMs = 0;
+    #sendBatch() {
+        if (this.#batchTimeout != null) {
+            clearTimeout(this.#batchTimeout);
+            this.#batchTimeout = null;
         }
-        return new Promise((resolve, reject) => {
-            if (this.#ws.readyState !== WebSocket.OPEN) {
-                setTimeout(() => reject(new Error(this.#getWSStateMessage())), 0);
-                return;
-            }
-            const boopId = ++this.#lastBoopId;
-            this.#ws.send(PROTO_BOOP_REQUEST + boopId.toString(36));
-            if (timeoutMs === 0) {
-                this.#pendingBoops.set(boopId, [resolve, reject]);
-                return;
-            }
-            const timeoutId = setTimeout(() => {
-                this.#pendingBoops.delete(boopId);
-                reject(new BoopTimeoutError(`Boop ${boopId} timed out after ${timeoutMs} ms`, boopId, timeoutMs));
-            }, timeoutMs);
-            const wrappedResolve = () => {
-                clearTimeout(timeoutId);
-                resolve();
-            }
-            const wrappedReject = (error) => {
-                clearTimeout(timeoutId);
-                reject(error);
-            };
-            this.#pendingBoops.set(boopId, [wrappedResolve, wrappedReject]);
-        });
+        const boops = this.#queuedBoops;
+        this.#queuedBoops = new Map();
+        if (boops.size === 0) {
+            return;
+        }
+        const [[batchId, first]] = boops;
+        if (boops.size === 1) {
+            this.#ws.send(this.binary ? encodeBoopRequest(batchId) : PROTO_BOOP_REQUEST + batchId.toString(36));
+            this.#pendingBoops.set(batchId, first);
+            return;
+        }
+        this.#ws.send(this.binary ? encodeBoopBatch(batchId, boops.size) :
+            PROTO_BOOP_BATCH + batchId.toString(36) + ',' + boops.size.toString(36));
+        this.#pendingBatches.set(batchId, boops);
     }
 
     /**
@@ -393,6 +1330,13 @@ class MareConnection extends EventTarget {
         if (typeof timeoutMs !== 'number' || timeoutMs < 0 || timeoutMs > Number.MAX_SAFE_INTEGER || isNaN(timeoutMs) || !isFinite(timeoutMs)) {
             timeoutMs = 0;
         }
+        if (this.#transport === 'sse') {
+            if (!this.#esOpen) {
+                return Promise.reject(new Error('Event stream is not open.'));
+            }
+            // There is no HTTP cooldown query, report the last known cooldown instead.
+            return Promise.resolve(this.cooldown);
+        }
         return new Promise((resolve, reject) => {
             if (this.#ws.readyState !== WebSocket.OPEN) {
                 setTimeout(() => reject(new Error(this.#getWSStateMessage())), 0);
@@ -420,6 +1364,192 @@ class MareConnection extends EventTarget {
         });
     }
 
+    /**
+     * Send a boop to the server over HTTP.
+     * @param {number} timeoutMs The timeout in milliseconds for the boop, or 0 for no timeout.
+     * @return {Promise<void>} A promise that resolves when the boop is accepted or rejects if it is rejected/timed out/fails.
+     */
+    #httpBoop(timeoutMs) {
+        if (!this.#esOpen) {
+            return Promise.reject(new Error('Event stream is not open.'));
+        }
+        const boopId = ++this.#lastBoopId;
+        const controller = new AbortController();
+        const timeoutId = timeoutMs === 0 ? null : setTimeout(() => controller.abort(), timeoutMs);
+        return fetch(this.#boopUrl, { method: 'POST', signal: controller.signal }).then(async (response) => {
+            if (response.status === 429) {
+                const { cooldown, limiter, challenge } = await this.#readHttpCooldown(response);
+                this.#setCooldown(cooldown, limiter);
+                if (challenge) {
+                    this.#solveChallenge(challenge.seed, challenge.difficulty);
+                }
+                throw new BoopRejectedError(`Boop ${boopId} has been rejected due to boop rate limit. Cooldown: ${cooldown} ms`, boopId, cooldown, limiter);
+            }
+            if (response.status === 403) {
+                const data = await response.json().catch(() => null);
+                if (data != null && typeof data.bannedUntil === 'number') {
+                    throw new BoopBannedError(`Boop ${boopId} has been refused, banned until ${new Date(data.bannedUntil).toISOString()}`, boopId, data.bannedUntil);
+                }
+            }
+            if (!response.ok) {
+                throw new MareNetworkError(`Boop ${boopId} failed with HTTP status ${response.status}`);
+            }
+            const data = await response.json().catch(() => null);
+            if (data != null && typeof data.count === 'number') {
+                this.dispatchEvent(new BoopCountEvent(data.count));
+            }
+        }, (error) => {
+            if (controller.signal.aborted) {
+                throw new BoopTimeoutError(`Boop ${boopId} timed out after ${timeoutMs} ms`, boopId, timeoutMs);
+            }
+            throw new MareNetworkError(`Boop ${boopId} failed: ${error?.message ?? error}`);
+        }).finally(() => {
+            if (timeoutId != null) {
+                clearTimeout(timeoutId);
+            }
+        });
+    }
+
+    /**
+     * Read the cooldown from a rate-limited HTTP boop response.
+     * @param {Response} response The HTTP 429 response.
+     * @returns {Promise<{ cooldown: number, limiter: string | null, challenge: { seed: string, difficulty: number } | null }>}
+     * The cooldown in milliseconds, the limiter that caused it and the proof of work challenge to solve, if any.
+     */
+    async #readHttpCooldown(response) {
+        const data = await response.json().catch(() => null);
+        const limiter = data != null && typeof data.limiter === 'string' ? data.limiter : null;
+        const challenge = data != null && typeof data.challenge?.seed === 'string' && /^[0-9a-f]{32}$/.test(data.challenge.seed) &&
+            Number.isSafeInteger(data.challenge.difficulty) && data.challenge.difficulty > 0 ? data.challenge : null;
+        if (data != null && typeof data.cooldown === 'number' && data.cooldown >= 0) {
+            return { cooldown: data.cooldown, limiter, challenge };
+        }
+        const retryAfter = parseInt(response.headers.get('Retry-After') ?? '', 10);
+        return { cooldown: isNaN(retryAfter) ? 0 : retryAfter * 1_000, limiter, challenge };
+    }
+
+    /**
+     * Send the solution to a proof of work challenge over HTTP.
+     * @param {string} seed The challenge seed.
+     * @param {number} counter The solution counter.
+     * @return {void}
+     */
+    #httpSolveChallenge(seed, counter) {
+        fetch(this.#challengeUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ seed, counter })
+        }).then((response) => {
+            if (response.ok) {
+                this.#onChallengeAccepted(seed);
+                return;
+            }
+            throw new Error(`HTTP status ${response.status}`);
+        }).catch((error) => {
+            console.error('Failed to send the challenge solution:', error);
+            // The server sends the challenge again with the next rejected boop.
+            if (seed === this.#challengeSeed) {
+                this.#stopChallenge();
+            }
+        });
+    }
+
+    /**
+     * Open the Server-Sent Events stream.
+     * @returns {void}
+     */
+    #openEventSource() {
+        this.#unhookES();
+        const es = new EventSource(this.#eventsUrl);
+        this.#eventSource = es;
+
+        const onOpen = () => {
+            this.#clearBackoff();
+            this.#reconnectAttempts = 0;
+            this.#esOpen = true;
+            this.dispatchEvent(new Event('open'));
+            this.#scheduleOfflineFlush(0);
+        };
+        /** @param {Event} event */
+        const onBoopCount = (event) => {
+            const data = event instanceof MessageEvent ? event.data : null;
+            if (typeof data !== 'string' || !/^\d{1,16}$/.test(data)) {
+                console.warn('Received invalid event data:', { data });
+                return;
+            }
+            this.dispatchEvent(new BoopCountEvent(parseInt(data, 10)));
+        };
+        const onError = () => {
+            console.error('EventSource error');
+            this.dispatchEvent(new Event('error'));
+            const willRetry = es.readyState !== EventSource.CLOSED;
+            if (this.#esOpen) {
+                this.#esOpen = false;
+                this.dispatchEvent(new MareCloseEvent(this.#reconnectOnClose, { code: 1006, reason: '', wasClean: false }));
+            }
+            if (willRetry) {
+                // The browser reconnects on its own.
+                return;
+            }
+            this.#unhookES();
+            this.#eventSource = null;
+            if (!this.#reconnectOnClose) {
+                return;
+            }
+            const delay = this.#nextBackoffDelay();
+            this.#backoffTimeout = setTimeout(() => {
+                this.#backoffTimeout = null;
+                this.#openEventSource();
+            }, delay);
+        };
+
+        this.#unhookES = () => {
+            this.#unhookES = NOOP;
+            es.removeEventListener('open', onOpen);
+            es.removeEventListener(SSE_BOOP_COUNT_EVENT, onBoopCount);
+            es.removeEventListener('error', onError);
+        };
+        es.addEventListener('open', onOpen);
+        es.addEventListener(SSE_BOOP_COUNT_EVENT, onBoopCount);
+        es.addEventListener('error', onError);
+    }
+
+    /**
+     * Close the Server-Sent Events stream.
+     * @param {boolean} autoReconnect Flag indicating if the connection will be reestablished.
+     * @returns {void}
+     */
+    #closeEventSource(autoReconnect) {
+        this.#unhookES();
+        this.#stopChallenge();
+        if (this.#eventSource) {
+            this.#eventSource.close();
+            this.#eventSource = null;
+        }
+        if (this.#esOpen) {
+            this.#esOpen = false;
+            setTimeout(() => this.dispatchEvent(new MareCloseEvent(autoReconnect, {
+                code: 1000,
+                reason: '',
+                wasClean: true
+            })), 0);
+        }
+    }
+
+    /**
+     * Increment the reconnect attempts and get the next backoff delay.
+     * @returns {number} The backoff delay in milliseconds.
+     */
+    #nextBackoffDelay() {
+        this.#reconnectAttempts++;
+        const delay = Math.min(
+            BACKOFF_BASE_MS * Math.pow(2, this.#reconnectAttempts - 1),
+            BACKOFF_MAX_MS
+        );
+        console.info(`Backoff delay: ${delay} ms (attempt ${this.#reconnectAttempts})`);
+        return delay;
+    }
+
     /**
      * Helper function to get a message based on the WebSocket state.
      * @returns {string} A message describing the current WebSocket state.
@@ -447,6 +1577,16 @@ class MareConnection extends EventTarget {
         }
     }
 
+    /**
+     * Create a WebSocket to the server, offering the binary sub-protocol if enabled.
+     * @returns {WebSocket} The WebSocket.
+     */
+    #createWebSocket() {
+        const ws = new WebSocket(this.#url, this.#binaryOption ? [BINARY_SUBPROTOCOL] : []);
+        ws.binaryType = 'arraybuffer';
+        return ws;
+    }
+
     /**
      * Hook WebSocket event handlers.
      * @returns {void}
@@ -454,6 +1594,7 @@ class MareConnection extends EventTarget {
     #hookWS() {
         const ws = this.#ws;
         this.#unhookWS();
+        this.#wsOpened = false;
         const onOpen = this.#onOpen.bind(this);
         const onMessage = this.#onMessage.bind(this);
         const onClose = this.#onClose.bind(this);
@@ -498,8 +1639,15 @@ class MareConnection extends EventTarget {
      * @return {void}
      */
     #onOpen(event) {
+        this.#wsOpened = true;
+        this.#wsFailures = 0;
         this.#clearBackoff();
+        // The hello must be the first message.
+        this.#ws.send(PROTO_HELLO + PROTOCOL_VERSION.toString(36) + ',' + BUILD_ID + ',' + PROTOCOL_FEATURES.join('+') +
+            (this.#sessionToken ? ',' + this.#sessionToken : ''));
         this.dispatchEvent(new Event('open'));
+        // Leave time for the welcome, so the queued boops can go as batches.
+        this.#scheduleOfflineFlush(OFFLINE_FLUSH_INTERVAL_MS);
         if (this.#heartbeatInterval != null) {
             clearInterval(this.#heartbeatInterval);
             this.#heartbeatInterval = null;
@@ -515,6 +1663,10 @@ class MareConnection extends EventTarget {
     #onMessage(event) {
         this.#reconnectAttempts = 0;
         const data = event?.data;
+        if (data instanceof ArrayBuffer && this.binary) {
+            this.#onBinaryMessage(data);
+            return;
+        }
         if (typeof data !== 'string') {
             console.warn('Received invalid data:', { data });
             return;
@@ -537,6 +1689,30 @@ class MareConnection extends EventTarget {
             return;
         }
 
+        // Protocol handshake answer
+        if (data.startsWith(PROTO_WELCOME)) {
+            const match = data.slice(PROTO_WELCOME.length).match(/^([0-9a-z]{1,4}),([\w.-]{1,32}),([a-z\d+-]{0,64})(?:,([0-9a-f]{16}))?$/);
+            if (!match) {
+                console.warn('Received invalid data:', { data });
+                return;
+            }
+            const features = new Set(match[3].split('+').filter(Boolean));
+            this.#capabilities = Object.freeze({ version: parseInt(match[1], 36), buildId: match[2], features });
+            if (match[2] !== BUILD_ID) {
+                console.info(`Server runs build ${match[2]}, ours is ${BUILD_ID}.`);
+            }
+            // The server only skips the boops it already counted within the same session.
+            const resumed = match[4] != null && match[4] === this.#sessionToken;
+            this.#sessionToken = match[4] ?? null;
+            if (resumed) {
+                this.#resendUnackedBoops();
+            } else {
+                this.#rejectUnackedBoops();
+            }
+            this.dispatchEvent(new Event('welcome'));
+            return;
+        }
+
         // Boop count message
         if (data.startsWith(PROTO_BOOP_COUNT)) {
             const match = data.slice(PROTO_BOOP_COUNT.length).match(/^([0-9a-z]{1,11})$/);
@@ -544,8 +1720,7 @@ class MareConnection extends EventTarget {
                 console.warn('Received invalid data:', { data });
                 return;
             }
-            const boopCount = parseInt(match[1], 36);
-            this.dispatchEvent(new BoopCountEvent(boopCount));
+            this.dispatchEvent(new BoopCountEvent(parseInt(match[1], 36)));
             return;
         }
 
@@ -556,47 +1731,59 @@ class MareConnection extends EventTarget {
                 console.warn('Received invalid data:', { data });
                 return;
             }
-            const boopId = parseInt(match[1], 36);
-            const boop = this.#pendingBoops.get(boopId);
-            if (!boop) {
-                console.warn('Received boop reply for unknown boop:', { boopId });
-                return;
-            }
-            this.#pendingBoops.delete(boopId);
-            const [resolve] = boop;
-            resolve();
+            this.#onBoopReply(parseInt(match[1], 36));
             return;
         }
 
         // Boop rejection
         if (data.startsWith(PROTO_BOOP_REJECT)) {
-            const match = data.slice(PROTO_BOOP_REJECT.length).match(/^([0-9a-z]{1,11}),([0-9a-z]{1,11})$/);
+            const match = data.slice(PROTO_BOOP_REJECT.length).match(/^([0-9a-z]{1,11}),([0-9a-z]{1,11})(?:,([a-z]{1,16}))?$/);
+            if (!match) {
+                console.warn('Received invalid data:', { data });
+                return;
+            }
+            this.#onBoopReject(parseInt(match[1], 36), parseInt(match[2], 36), match[3] ?? null);
+            return;
+        }
+
+        // Batch outcome
+        if (data.startsWith(PROTO_BATCH_REPLY)) {
+            const match = data.slice(PROTO_BATCH_REPLY.length).match(/^([0-9a-z]{1,11}),([0-9a-z]{1,2})(?:,([0-9a-z]{1,11})(?:,([a-z]{1,16}))?)?$/);
             if (!match) {
                 console.warn('Received invalid data:', { data });
                 return;
             }
-            const boopId = parseInt(match[1], 36);
-            const cooldown = parseInt(match[2], 36);
-            const boop = this.#pendingBoops.get(boopId);
-            if (!boop) {
-                console.warn('Received boop reject for unknown boop:', { boopId, cooldown });
+            this.#onBatchReply(parseInt(match[1], 36), parseInt(match[2], 36), match[3] ? parseInt(match[3], 36) : 0, match[4] ?? null);
+            return;
+        }
+
+        // Proof of work challenge
+        if (data.startsWith(PROTO_CHALLENGE)) {
+            const match = data.slice(PROTO_CHALLENGE.length).match(/^([0-9a-f]{32}),([0-9a-z]{1,2})$/);
+            if (!match) {
+                console.warn('Received invalid data:', { data });
                 return;
             }
-            this.#pendingBoops.delete(boopId);
-            const [_, reject] = boop;
-            reject(new BoopRejectedError(`Boop ${boopId} has been rejected due to boop rate limit. Cooldown: ${cooldown} ms`, boopId, cooldown));
+            this.#solveChallenge(match[1], parseInt(match[2], 36));
+            return;
+        }
+
+        // Proof of work challenge solution acceptance
+        if (data.startsWith(PROTO_CHALLENGE_ACCEPTED)) {
+            this.#onChallengeAccepted(data.slice(PROTO_CHALLENGE_ACCEPTED.length));
             return;
         }
 
         // Cooldown query response
         if (data.startsWith(PROTO_COOLDOWN_REPLY)) {
-            const match = data.slice(PROTO_COOLDOWN_REPLY.length).match(/^([0-9a-z]{1,11})(?:,([0-9a-z]{1,11}))?$/);
+            const match = data.slice(PROTO_COOLDOWN_REPLY.length).match(/^([0-9a-z]{1,11})(?:,([0-9a-z]{1,11})(?:,([a-z]{1,16}))?)?$/);
             if (!match) {
                 console.warn('Received invalid data:', { data });
                 return;
             }
             const cooldownQueryId = parseInt(match[1], 36);
             const cooldown = match[2] ? parseInt(match[2], 36) : 0;
+            this.#setCooldown(cooldown, match[3] ?? null);
             const query = this.#pendingCooldownQueries.get(cooldownQueryId);
             if (!query) {
                 console.warn('Received cooldown query response for unknown query:', { cooldownQueryId, cooldown });
@@ -611,6 +1798,229 @@ class MareConnection extends EventTarget {
         console.warn('Received invalid data:', { data });
     }
 
+    /**
+     * Handle incoming binary WebSocket messages, see src/shared/binary-protocol.js.
+     * @param {ArrayBuffer} data The message.
+     * @return {void}
+     */
+    #onBinaryMessage(data) {
+        const message = decodeServerMessage(data);
+        switch (message?.type) {
+            case 'count':
+                this.dispatchEvent(new BoopCountEvent(message.count));
+                return;
+            case 'boop':
+                this.#onBoopReply(message.boopId);
+                return;
+            case 'reject':
+                this.#onBoopReject(message.boopId, message.cooldown, message.limiter);
+                return;
+            case 'batch':
+                this.#onBatchReply(message.boopId, message.accepted, message.cooldown, message.limiter);
+                return;
+        }
+        console.warn('Received invalid data:', { data: new Uint8Array(data) });
+    }
+
+    /**
+     * Resolve a pending boop accepted by the server.
+     * @param {number} boopId The boop ID.
+     * @return {void}
+     */
+    #onBoopReply(boopId) {
+        const boop = this.#pendingBoops.get(boopId);
+        if (!boop) {
+            console.warn('Received boop reply for unknown boop:', { boopId });
+            return;
+        }
+        this.#pendingBoops.delete(boopId);
+        const [resolve] = boop;
+        resolve();
+    }
+
+    /**
+     * Reject a pending boop rejected by the server.
+     * @param {number} boopId The boop ID.
+     * @param {number} cooldown The remaining cooldown in milliseconds.
+     * @param {string | null} limiter The name of the limiter that rejected the boop.
+     * @return {void}
+     */
+    #onBoopReject(boopId, cooldown, limiter) {
+        // Even the boops that timed out tell the cooldown.
+        this.#setCooldown(cooldown, limiter);
+        const boop = this.#pendingBoops.get(boopId);
+        if (!boop) {
+            console.warn('Received boop reject for unknown boop:', { boopId, cooldown });
+            return;
+        }
+        this.#pendingBoops.delete(boopId);
+        const [_, reject] = boop;
+        reject(new BoopRejectedError(`Boop ${boopId} has been rejected due to boop rate limit. Cooldown: ${cooldown} ms`, boopId, cooldown, limiter));
+    }
+
+    /**
+     * Settle the boops of a pending batch: the server counted the first ones and rejected the rest.
+     * @param {number} batchId The batch id.
+     * @param {number} accepted The number of accepted boops.
+     * @param {number} cooldown The cooldown of the rejected boops in milliseconds.
+     * @param {string | null} limiter The name of the limiter that rejected the boops.
+     * @return {void}
+     */
+    #onBatchReply(batchId, accepted, cooldown, limiter) {
+        if (cooldown !== 0) {
+            this.#setCooldown(cooldown, limiter);
+        }
+        const boops = this.#pendingBatches.get(batchId);
+        if (!boops) {
+            console.warn('Received batch reply for unknown batch:', { batchId, accepted, cooldown });
+            return;
+        }
+        this.#pendingBatches.delete(batchId);
+        let index = 0;
+        for (const [boopId, [resolve, reject]] of boops) {
+            if (index++ < accepted) {
+                resolve();
+            } else {
+                reject(new BoopRejectedError(`Boop ${boopId} has been rejected due to boop rate limit. Cooldown: ${cooldown} ms`, boopId, cooldown, limiter));
+            }
+        }
+    }
+
+    /**
+     * Keep the boops and batches sent without an answer, so they can be re-sent once the session is resumed.
+     * Without a session, they are rejected as the server may or may not have counted them.
+     * @return {void}
+     */
+    #keepUnackedBoops() {
+        for (const [boopId, boop] of this.#pendingBoops) {
+            this.#unackedBoops.set(boopId, boop);
+        }
+        this.#pendingBoops.clear();
+        for (const [batchId, boops] of this.#pendingBatches) {
+            this.#unackedBatches.set(batchId, boops);
+        }
+        this.#pendingBatches.clear();
+        if (!this.#sessionToken) {
+            this.#rejectUnackedBoops();
+            return;
+        }
+        if (this.#unackedBoops.size !== 0 || this.#unackedBatches.size !== 0) {
+            this.#resumeTimeout ??= setTimeout(() => {
+                this.#resumeTimeout = null;
+                this.#rejectUnackedBoops();
+            }, SESSION_RESUME_WINDOW);
+        }
+    }
+
+    /**
+     * Re-send the boops and batches of the resumed session with their ids, the server answers
+     * the ones it already counted without counting them again.
+     * @return {void}
+     */
+    #resendUnackedBoops() {
+        if (this.#resumeTimeout != null) {
+            clearTimeout(this.#resumeTimeout);
+            this.#resumeTimeout = null;
+        }
+        for (const [boopId, boop] of this.#unackedBoops) {
+            this.#ws.send(this.binary ? encodeBoopRequest(boopId) : PROTO_BOOP_REQUEST + boopId.toString(36));
+            this.#pendingBoops.set(boopId, boop);
+        }
+        this.#unackedBoops.clear();
+        for (const [batchId, boops] of this.#unackedBatches) {
+            this.#ws.send(this.binary ? encodeBoopBatch(batchId, boops.size) :
+                PROTO_BOOP_BATCH + batchId.toString(36) + ',' + boops.size.toString(36));
+            this.#pendingBatches.set(batchId, boops);
+        }
+        this.#unackedBatches.clear();
+    }
+
+    /**
+     * Reject the boops and batches that can no longer be re-sent.
+     * @return {void}
+     */
+    #rejectUnackedBoops() {
+        if (this.#resumeTimeout != null) {
+            clearTimeout(this.#resumeTimeout);
+            this.#resumeTimeout = null;
+        }
+        for (const [boopId, [_, reject]] of this.#unackedBoops) {
+            reject(new MareNetworkError(`Boop ${boopId} failed due to connection close`));
+        }
+        this.#unackedBoops.clear();
+        for (const boops of this.#unackedBatches.values()) {
+            for (const [boopId, [_, reject]] of boops) {
+                reject(new MareNetworkError(`Boop ${boopId} failed due to connection close`));
+            }
+        }
+        this.#unackedBatches.clear();
+    }
+
+    /**
+     * Solve a proof of work challenge in a Web Worker and send the solution to the server.
+     * @param {string} seed The challenge seed.
+     * @param {number} difficulty The challenge difficulty, in leading zero bits.
+     * @return {void}
+     */
+    #solveChallenge(seed, difficulty) {
+        if (seed === this.#challengeSeed) {
+            // Already solving it
+            return;
+        }
+        this.#stopChallenge();
+        this.#challengeSeed = seed;
+        const worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+        this.#challengeWorker = worker;
+        worker.addEventListener('message', (event) => {
+            const { counter } = event.data;
+            if (this.#challengeWorker !== worker) {
+                return;
+            }
+            if (this.#transport === 'sse') {
+                this.#httpSolveChallenge(seed, counter);
+            } else if (this.#ws.readyState === WebSocket.OPEN) {
+                this.#ws.send(PROTO_CHALLENGE_SOLUTION + seed + ',' + counter.toString(36));
+            }
+        });
+        worker.addEventListener('error', (event) => {
+            console.error('Challenge worker error:', event);
+        });
+        worker.postMessage({ seed, difficulty });
+        this.dispatchEvent(new ChallengeEvent(difficulty));
+    }
+
+    /**
+     * Handle the acceptance of the solution to a proof of work challenge.
+     * @param {string} seed The challenge seed.
+     * @return {void}
+     */
+    #onChallengeAccepted(seed) {
+        if (seed !== this.#challengeSeed) {
+            console.warn('Received challenge acceptance for unknown challenge:', { seed });
+            return;
+        }
+        this.#stopChallenge();
+        if (this.#transport === 'sse') {
+            // There is no HTTP cooldown query, the next boop tells whether a rate limit cooldown remains.
+            this.#endCooldown();
+        } else {
+            // The cooldown of the challenge is lifted, the reply tells whether a rate limit one remains.
+            this.queryCooldown(0).catch(NOOP);
+        }
+        this.dispatchEvent(new Event('challengesolved'));
+        this.#scheduleOfflineFlush(0);
+    }
+
+    /**
+     * Stop solving the current proof of work challenge, if any.
+     * @return {void}
+     */
+    #stopChallenge() {
+        this.#challengeWorker?.terminate();
+        this.#challengeWorker = null;
+        this.#challengeSeed = null;
+    }
+
     /**
      * Handle WebSocket close events (inner method).
      * @param {CloseEvent} event The close event.
@@ -623,23 +2033,33 @@ class MareConnection extends EventTarget {
             this.#heartbeatInterval = null;
         }
 
-        // Reject all pending boops and cooldown queries.
-        for (const [boopId, [_, reject]] of this.#pendingBoops.entries()) {
+        // Keep the boops sent without an answer for the next WebSocket, reject the queued boops and cooldown queries.
+        this.#keepUnackedBoops();
+        if (this.#batchTimeout != null) {
+            clearTimeout(this.#batchTimeout);
+            this.#batchTimeout = null;
+        }
+        for (const [boopId, [_, reject]] of this.#queuedBoops.entries()) {
             reject(new MareNetworkError(`Boop ${boopId} failed due to connection close`));
         }
-        this.#pendingBoops.clear();
+        this.#queuedBoops.clear();
         for (const [cooldownQueryId, [_, reject]] of this.#pendingCooldownQueries.entries()) {
             reject(new MareNetworkError(`Cooldown query ${cooldownQueryId} failed due to connection close`));
         }
         this.#pendingCooldownQueries.clear();
 
+        // The server sends the challenge again with the next rejected boop.
+        this.#stopChallenge();
+
+        // The next WebSocket negotiates again, the server may have been updated.
+        this.#capabilities = null;
+
         // Unhook WebSocket event handlers.
         this.#unhookWS();
 
-        // If the close event has a code indicating too many cooldown fails,
-        // (a.k.a. the server has kicked us for exceeding the rate limit)
-        // we should reset the connection state and not attempt to reconnect.
-        if (event.code === TOO_MANY_COOLDOWN_FAILS_ERRCODE) {
+        // If we are banned or must be reloaded, reconnecting would be refused the same way,
+        // so we should reset the connection state and not attempt to reconnect.
+        if (event.code === BANNED_ERRCODE || event.code === VERSION_MISMATCH_ERRCODE) {
             this.#reconnectOnClose = false;
             this.#reconnectImmediately = false;
             this.#connectOnFocus = false;
@@ -648,6 +2068,42 @@ class MareConnection extends EventTarget {
             return false;
         }
 
+        switch (event.code) {
+            case NO_HEARTBEAT_ERRCODE:
+                // Our heartbeats got lost, the server is fine.
+                this.#reconnectImmediately = true;
+                break;
+            case INTERNAL_SERVER_ERROR_ERRCODE:
+            case RATE_LIMITED_ERRCODE:
+                // Give the server, or our own flood, time to settle.
+                this.#reconnectImmediately = false;
+                break;
+            case MAINTENANCE_ERRCODE:
+                if (this.#reconnectOnClose) {
+                    const delay = MAINTENANCE_RETRY_MIN_MS + Math.random() * (MAINTENANCE_RETRY_MAX_MS - MAINTENANCE_RETRY_MIN_MS);
+                    this.#reconnectImmediately = false;
+                    this.#clearBackoff();
+                    this.#backoffTimeout = setTimeout(() => {
+                        this.#backoffTimeout = null;
+                        this.#ws = this.#createWebSocket();
+                        this.#hookWS();
+                    }, delay);
+                }
+                return this.#reconnectOnClose;
+        }
+
+        // If the WebSocket keeps failing before it ever opens (e.g. a proxy
+        // blocks the upgrade), fall back to Server-Sent Events.
+        if (this.#transportOption === 'auto' && !this.#wsOpened && ++this.#wsFailures >= WS_FALLBACK_ATTEMPTS) {
+            console.warn('WebSocket could not be established, falling back to Server-Sent Events.');
+            this.#transport = 'sse';
+            if (!this.#reconnectOnClose) {
+                return false;
+            }
+            this.#openEventSource();
+            return true;
+        }
+
         // If the reconnectOnClose flag is false (e.g. user called disconnect),
         // we should not attempt to reconnect.
         if (!this.#reconnectOnClose) {
@@ -662,7 +2118,7 @@ class MareConnection extends EventTarget {
         }
 
         const tryReconnect = () => {
-            this.#ws = new WebSocket(this.#url);
+            this.#ws = this.#createWebSocket();
             this.#reconnectImmediately = false;
             this.#hookWS();
         };
@@ -674,13 +2130,7 @@ class MareConnection extends EventTarget {
         }
 
         // Otherwise, reconnect after a backoff delay.
-        this.#reconnectAttempts++;
-        const delay = Math.min(
-            BACKOFF_BASE_MS * Math.pow(2, this.#reconnectAttempts - 1),
-            BACKOFF_MAX_MS
-        );
-        console.info(`Backoff delay: ${delay} ms (attempt ${this.#reconnectAttempts})`);
-
+        const delay = this.#nextBackoffDelay();
         this.#backoffTimeout = setTimeout(() => {
             this.#backoffTimeout = null;
             tryReconnect();
@@ -696,6 +2146,13 @@ class MareConnection extends EventTarget {
      */
     #onClose(event) {
         const autoReconnect = this.#onCloseInner(event);
+        if (!autoReconnect || this.#transport === 'sse') {
+            // No WebSocket to resume the session on.
+            this.#rejectUnackedBoops();
+        }
+        if (!autoReconnect) {
+            this.#dropOfflineBoops();
+        }
         setTimeout(() => this.dispatchEvent(new MareCloseEvent(autoReconnect, {
             code: event.code,
             reason: event.reason,
@@ -714,11 +2171,30 @@ class MareConnection extends EventTarget {
     }
 }
 
+/**
+ * Parse the boop times saved to `localStorage` by {@link MareConnection}.
+ * @param {string | null} json The saved value.
+ * @returns {number[]} The times the boops were made, oldest first.
+ */
+function parseOfflineBoops(json) {
+    try {
+        const times = JSON.parse(json ?? '[]');
+        return Array.isArray(times) ? times.filter((time) => Number.isSafeInteger(time)).sort((a, b) => a - b) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
 export {
     MareConnection,
     BoopCountEvent,
+    BoopQueueEvent,
+    CooldownEvent,
+    ChallengeEvent,
     BoopRejectedError,
+    BoopBannedError,
     BoopTimeoutError,
     MareNetworkError,
+    BoopHandedOverError,
     MareCloseEvent
 };
\ No newline at end of file
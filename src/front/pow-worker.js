@@ -0,0 +1,15 @@
+// @ts-check
+import { isPowSolution } from '../shared/pow';
+
+// Solves the proof of work challenges sent by the server, off the main thread.
+// Receives `{ seed, difficulty }` and posts back `{ seed, counter }` once solved.
+// The connection terminates the worker when the challenge is no longer needed.
+self.addEventListener('message', async (event) => {
+    const { seed, difficulty } = event.data;
+    for (let counter = 0; ; counter++) {
+        if (await isPowSolution(seed, counter, difficulty)) {
+            self.postMessage({ seed, counter });
+            return;
+        }
+    }
+});
@@ -1,5 +1,24 @@
 // @ts-check
 
+/**
+ * @template {HTMLElement} T
+ * Get an element by ID and ensure it is of a specific type.
+ * 
+ * @param {string} id The ID of the element to get.
+ * @param {new () => T} type The constructor of the expected element type.
+ * @returns {T} The element with the specified ID, cast to the expected type.
+ */
+function strictGetElementById(id, type) {
+    const element = document.getElementById(id);
+    if (!element) {
+        throw new Error(`Element with ID "${id}" not found.`);
+    }
+    if (!(element instanceof type)) {
+        throw new Error(`Element with ID "${id}" is not of type ${type.name}.`);
+    }
+    return element;
+}
+
 /**
  * Retrieves the value of a CSS variable from the document's root element.
  * 
@@ -59,4 +78,4 @@ function parseCssDuration(duration, defaultValue = 0) {
     return parsedValue * multiplier;
 }
 
-export { getCssVariable, parseCssDuration };
\ No newline at end of file
+export { strictGetElementById, getCssVariable, parseCssDuration };
\ No newline at end of file
@@ -0,0 +1,278 @@
+// @ts-check
+import {
+    PROTO_BOOP_REQUEST,
+    PROTO_BOOP_REPLY,
+    PROTO_BOOP_REJECT,
+    PROTO_BOOP_COUNT,
+    PROTO_BOOP_BATCH,
+    PROTO_BATCH_REPLY,
+    MAX_BOOP_BATCH
+} from "./protocol";
+
+/**
+ * Compact binary encoding of the most frequent frames, shared by the WebSocket handler and `MareConnection`.
+ *
+ * Connections that negotiated the `BINARY_SUBPROTOCOL` send boop requests and batches, and receive boop
+ * replies, boop rejections, batch replies and boop counts as binary frames; every other frame keeps its text
+ * form. A binary frame starts with the char code of the matching text message, followed by its fields as
+ * unsigned LEB128 varints and, for a rejection, the optional limiter name in ASCII. A batch reply always
+ * carries a cooldown, 0 if every boop was accepted.
+ */
+
+const BINARY_SUBPROTOCOL = 'wellmares-binary';
+
+const OP_BOOP_REQUEST = PROTO_BOOP_REQUEST.charCodeAt(0);
+const OP_BOOP_REPLY = PROTO_BOOP_REPLY.charCodeAt(0);
+const OP_BOOP_REJECT = PROTO_BOOP_REJECT.charCodeAt(0);
+const OP_BOOP_COUNT = PROTO_BOOP_COUNT.charCodeAt(0);
+const OP_BOOP_BATCH = PROTO_BOOP_BATCH.charCodeAt(0);
+const OP_BATCH_REPLY = PROTO_BATCH_REPLY.charCodeAt(0);
+
+// 8 varint bytes hold 56 bits, enough for any safe integer
+const MAX_VARINT_BYTES = 8;
+const MAX_LIMITER_LENGTH = 16;
+
+/**
+ * A message sent by the client.
+ * @typedef {{ type: 'boop', boopId: number }
+ *     | { type: 'batch', boopId: number, count: number }} BinaryClientMessage
+ */
+
+/**
+ * A message sent by the server.
+ * @typedef {{ type: 'boop', boopId: number }
+ *     | { type: 'reject', boopId: number, cooldown: number, limiter: string | null }
+ *     | { type: 'batch', boopId: number, accepted: number, cooldown: number, limiter: string | null }
+ *     | { type: 'count', count: number }} BinaryServerMessage
+ */
+
+/**
+ * Appends an unsigned varint. Uses arithmetic rather than bitwise operators, which truncate to 32 bits.
+ *
+ * @param {number[]} bytes The bytes to append to.
+ * @param {number} value The value, a non-negative safe integer.
+ * @returns {void}
+ */
+function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+/**
+ * Reads an unsigned varint.
+ *
+ * @param {Uint8Array} bytes The frame.
+ * @param {number} offset The offset of the varint.
+ * @returns {[number, number] | null} The value and the offset after it, or null if the varint is truncated or too long.
+ */
+function readVarint(bytes, offset) {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < MAX_VARINT_BYTES && offset + i < bytes.length; i++) {
+        const byte = bytes[offset + i];
+        value += (byte & 0x7f) * scale;
+        if (byte < 0x80) {
+            return Number.isSafeInteger(value) ? [value, offset + i + 1] : null;
+        }
+        scale *= 0x80;
+    }
+    return null;
+}
+
+/**
+ * Encodes a frame made of an opcode followed by varints.
+ *
+ * @param {number} op The opcode.
+ * @param {number[]} values The values.
+ * @returns {Uint8Array} The frame.
+ */
+function encode(op, values) {
+    /** @type {number[]} */
+    const bytes = [op];
+    for (const value of values) {
+        writeVarint(bytes, value);
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Encodes a boop request.
+ *
+ * @param {number} boopId The boop ID.
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBoopRequest(boopId) {
+    return encode(OP_BOOP_REQUEST, [boopId]);
+}
+
+/**
+ * Encodes the acknowledgement of a boop.
+ *
+ * @param {number} boopId The boop ID.
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBoopReply(boopId) {
+    return encode(OP_BOOP_REPLY, [boopId]);
+}
+
+/**
+ * Encodes the rejection of a boop.
+ *
+ * @param {number} boopId The boop ID.
+ * @param {number} cooldown The remaining cooldown, in milliseconds.
+ * @param {string | null} limiter The name of the limiter that rejected the boop, lowercase ASCII.
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBoopReject(boopId, cooldown, limiter) {
+    return appendLimiter(encode(OP_BOOP_REJECT, [boopId, cooldown]), limiter);
+}
+
+/**
+ * Appends a limiter name to a frame.
+ *
+ * @param {Uint8Array} frame The frame.
+ * @param {string | null} limiter The limiter name, lowercase ASCII.
+ * @returns {Uint8Array} The frame, followed by the limiter name.
+ */
+function appendLimiter(frame, limiter) {
+    if (!limiter) {
+        return frame;
+    }
+    const bytes = new Uint8Array(frame.length + limiter.length);
+    bytes.set(frame);
+    for (let i = 0; i < limiter.length; i++) {
+        bytes[frame.length + i] = limiter.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Reads the limiter name that ends a frame.
+ *
+ * @param {Uint8Array} bytes The frame.
+ * @param {number} offset The offset of the name.
+ * @returns {string | null | undefined} The name, null if there is none, or undefined if it is invalid.
+ */
+function readLimiter(bytes, offset) {
+    if (bytes.length - offset > MAX_LIMITER_LENGTH) {
+        return undefined;
+    }
+    const limiter = String.fromCharCode(...bytes.subarray(offset));
+    if (limiter === '') {
+        return null;
+    }
+    return /^[a-z]+$/.test(limiter) ? limiter : undefined;
+}
+
+/**
+ * Encodes a batch of boops.
+ *
+ * @param {number} boopId The batch ID.
+ * @param {number} count The number of boops.
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBoopBatch(boopId, count) {
+    return encode(OP_BOOP_BATCH, [boopId, count]);
+}
+
+/**
+ * Encodes the outcome of a batch of boops.
+ *
+ * @param {number} boopId The batch ID.
+ * @param {number} accepted The number of accepted boops.
+ * @param {number} cooldown The cooldown of the rejected boops in milliseconds, 0 if all were accepted.
+ * @param {string | null} limiter The name of the limiter that rejected the boops, lowercase ASCII.
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBatchReply(boopId, accepted, cooldown, limiter) {
+    return appendLimiter(encode(OP_BATCH_REPLY, [boopId, accepted, cooldown]), limiter);
+}
+
+/**
+ * Encodes a boop count update.
+ *
+ * @param {number} count The Global Boops Count (GBC).
+ * @returns {Uint8Array} The frame.
+ */
+function encodeBoopCount(count) {
+    return encode(OP_BOOP_COUNT, [count]);
+}
+
+/**
+ * Decodes a binary frame sent by the client.
+ *
+ * @param {ArrayBuffer} data The frame.
+ * @returns {BinaryClientMessage | null} The message, or null if the frame is invalid.
+ */
+function decodeClientMessage(data) {
+    const bytes = new Uint8Array(data);
+    if (bytes[0] === OP_BOOP_REQUEST) {
+        const boopId = readVarint(bytes, 1);
+        if (boopId && boopId[1] === bytes.length) {
+            return { type: 'boop', boopId: boopId[0] };
+        }
+    }
+    if (bytes[0] === OP_BOOP_BATCH) {
+        const boopId = readVarint(bytes, 1);
+        const count = boopId && readVarint(bytes, boopId[1]);
+        if (boopId && count && count[1] === bytes.length && count[0] >= 1 && count[0] <= MAX_BOOP_BATCH) {
+            return { type: 'batch', boopId: boopId[0], count: count[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Decodes a binary frame sent by the server.
+ *
+ * @param {ArrayBuffer} data The frame.
+ * @returns {BinaryServerMessage | null} The message, or null if the frame is invalid.
+ */
+function decodeServerMessage(data) {
+    const bytes = new Uint8Array(data);
+    switch (bytes[0]) {
+        case OP_BOOP_REPLY: {
+            const boopId = readVarint(bytes, 1);
+            return boopId && boopId[1] === bytes.length ? { type: 'boop', boopId: boopId[0] } : null;
+        }
+        case OP_BOOP_REJECT: {
+            const boopId = readVarint(bytes, 1);
+            const cooldown = boopId && readVarint(bytes, boopId[1]);
+            const limiter = cooldown ? readLimiter(bytes, cooldown[1]) : undefined;
+            if (!boopId || !cooldown || limiter === undefined) {
+                return null;
+            }
+            return { type: 'reject', boopId: boopId[0], cooldown: cooldown[0], limiter };
+        }
+        case OP_BATCH_REPLY: {
+            const boopId = readVarint(bytes, 1);
+            const accepted = boopId && readVarint(bytes, boopId[1]);
+            const cooldown = accepted && readVarint(bytes, accepted[1]);
+            const limiter = cooldown ? readLimiter(bytes, cooldown[1]) : undefined;
+            if (!boopId || !accepted || !cooldown || limiter === undefined) {
+                return null;
+            }
+            return { type: 'batch', boopId: boopId[0], accepted: accepted[0], cooldown: cooldown[0], limiter };
+        }
+        case OP_BOOP_COUNT: {
+            const count = readVarint(bytes, 1);
+            return count && count[1] === bytes.length ? { type: 'count', count: count[0] } : null;
+        }
+    }
+    return null;
+}
+
+export {
+    BINARY_SUBPROTOCOL,
+    encodeBoopRequest,
+    encodeBoopReply,
+    encodeBoopReject,
+    encodeBoopBatch,
+    encodeBatchReply,
+    encodeBoopCount,
+    decodeClientMessage,
+    decodeServerMessage
+};
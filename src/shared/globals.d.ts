@@ -0,0 +1,4 @@
+// Constants replaced at build time, see the `define` option in vite.config.js
+
+/** The ID of the build, shared by the worker and the pages it was built with. */
+declare const __BUILD_ID__: string;
@@ -0,0 +1,41 @@
+// @ts-check
+
+/**
+ * Hashcash-style proof of work, shared by the hub that checks the solutions and the Web Worker
+ * that finds them: a solution to a challenge is a counter such that the SHA-256 hash of
+ * `<seed>:<counter in base 36>` starts with at least `difficulty` zero bits.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Counts the leading zero bits of a hash.
+ *
+ * @param {Uint8Array} bytes The hash.
+ * @returns {number} The number of leading zero bits.
+ */
+function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) {
+            return bits + Math.clz32(byte) - 24;
+        }
+        bits += 8;
+    }
+    return bits;
+}
+
+/**
+ * Checks whether a counter solves a proof of work challenge.
+ *
+ * @param {string} seed The challenge seed.
+ * @param {number} counter The counter.
+ * @param {number} difficulty The number of leading zero bits required.
+ * @returns {Promise<boolean>} A promise that resolves to whether the counter is a solution.
+ */
+async function isPowSolution(seed, counter, difficulty) {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${seed}:${counter.toString(36)}`));
+    return countLeadingZeroBits(new Uint8Array(hash)) >= difficulty;
+}
+
+export { isPowSolution };
@@ -1,45 +1,125 @@
 // @ts-check
+/// <reference path="./globals.d.ts" />
+
+// Protocol handshake. The version is incremented with every change that breaks already-open tabs,
+// and the server closes the connections of the clients below MIN_PROTOCOL_VERSION. Clients that
+// never say hello predate the handshake and count as version 0
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 0;
+const BUILD_ID = __BUILD_ID__;
+// Optional features, only used once both sides announced them
+const FEATURE_CHALLENGE = 'pow';
+const FEATURE_BATCH = 'batch';
+const FEATURE_RESUME = 'resume';
+const PROTOCOL_FEATURES = [FEATURE_CHALLENGE, FEATURE_BATCH, FEATURE_RESUME];
+// The features of the clients that predate the handshake
+const LEGACY_FEATURES = [FEATURE_CHALLENGE];
 
 // Heartbeat
 const HEARTBEAT_TIMEOUT = 30_000;
 
-// WebSocket protocol error codes and messages
-const INTERNAL_SERVER_ERROR_ERRCODE = 1000;
+// The maximum number of boops in a batch
+const MAX_BOOP_BATCH = 32;
+
+// Boop sessions. The server issues a session token in its welcome and remembers the boop IDs recently
+// accepted in that session, so boops re-sent with the same IDs after a reconnect are not counted twice.
+// Clients only re-send the boops of a connection lost less than SESSION_RESUME_WINDOW ago, well within
+// the time the server remembers them
+const SESSION_TOKEN_LENGTH = 16;
+const SESSION_RESUME_WINDOW = 60_000;
+
+// WebSocket close codes and reasons, in the 4000-4999 range that RFC 6455 leaves to applications.
+// The codes below 4000 keep their RFC meaning, e.g. 1000 for a normal close or 1006 for a lost connection
+const INTERNAL_SERVER_ERROR_ERRCODE = 4000;
 const INTERNAL_SERVER_ERROR_ERRMSG = "Internal Server Error";
-const NO_HEARTBEAT_ERRCODE = 1001;
+const NO_HEARTBEAT_ERRCODE = 4001;
 const NO_HEARTBEAT_ERRMSG = "No heartbeat received within the timeout period";
-const TOO_MANY_COOLDOWN_FAILS_ERRCODE = 1002;
-const TOO_MANY_COOLDOWN_FAILS_ERRMSG = "Too many cooldown failures, connection closed";
+// Followed by the exceeded limit: `rate`, `size` or `invalid`
+const RATE_LIMITED_ERRCODE = 4002;
+const RATE_LIMITED_ERRMSG = "Message limit exceeded: ";
+const BANNED_ERRCODE = 4003;
+// Followed by the ban expiry as an ISO 8601 timestamp
+const BANNED_ERRMSG = "Banned until ";
+const MAINTENANCE_ERRCODE = 4004;
+const MAINTENANCE_ERRMSG = "Under maintenance";
+// The client speaks a protocol version the server no longer supports and must be reloaded
+const VERSION_MISMATCH_ERRCODE = 4005;
+const VERSION_MISMATCH_ERRMSG = "Unsupported protocol version, please reload";
 
 // WebSocket protocol bidirectional messages
 const PROTO_HEARTBEAT = 'h';
 
 // WebSocket protocol client to server messages
+// Sent first, followed by the protocol version in base 36, the build ID, the features separated by `+`
+// and when resuming a session, its token
+const PROTO_HELLO = 'v';
 const PROTO_BOOP_REQUEST = 'b';
 const PROTO_COOLDOWN_QUERY = 'd';
+// Followed by the batch ID and the number of boops in base 36, up to MAX_BOOP_BATCH
+const PROTO_BOOP_BATCH = 'n';
+// Followed by the challenge seed and the solution counter in base 36, see src/shared/pow.js
+const PROTO_CHALLENGE_SOLUTION = 'p';
 
 // WebSocket protocol server to client messages
+// Answers the hello, followed by the protocol version in base 36, the build ID, the negotiated features
+// and when the session feature was negotiated, the session token
+const PROTO_WELCOME = 'w';
 const PROTO_BOOP_REPLY = 'b';
 const PROTO_BOOP_REJECT = 'r';
 const PROTO_COOLDOWN_REPLY = 'd';
+// Followed by the batch ID and the number of accepted boops in base 36, then if some were rejected,
+// by their cooldown in base 36 and the limiter that rejected them
+const PROTO_BATCH_REPLY = 'n';
 const PROTO_INVALID = 'i';
 const PROTO_BOOP_COUNT = 'c';
+// Followed by the challenge seed and the difficulty in base 36, boops are rejected until it is solved
+const PROTO_CHALLENGE = 'p';
+// Followed by the seed of the solved challenge
+const PROTO_CHALLENGE_ACCEPTED = 'a';
+
+// Server-Sent Events (SSE) fallback
+const SSE_BOOP_COUNT_EVENT = 'boopcount';
 
 
 export {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    BUILD_ID,
+    FEATURE_CHALLENGE,
+    FEATURE_BATCH,
+    FEATURE_RESUME,
+    PROTOCOL_FEATURES,
+    LEGACY_FEATURES,
     HEARTBEAT_TIMEOUT,
+    MAX_BOOP_BATCH,
+    SESSION_TOKEN_LENGTH,
+    SESSION_RESUME_WINDOW,
     INTERNAL_SERVER_ERROR_ERRCODE,
     INTERNAL_SERVER_ERROR_ERRMSG,
     NO_HEARTBEAT_ERRCODE,
     NO_HEARTBEAT_ERRMSG,
-    TOO_MANY_COOLDOWN_FAILS_ERRCODE,
-    TOO_MANY_COOLDOWN_FAILS_ERRMSG,
+    RATE_LIMITED_ERRCODE,
+    RATE_LIMITED_ERRMSG,
+    BANNED_ERRCODE,
+    BANNED_ERRMSG,
+    MAINTENANCE_ERRCODE,
+    MAINTENANCE_ERRMSG,
+    VERSION_MISMATCH_ERRCODE,
+    VERSION_MISMATCH_ERRMSG,
     PROTO_HEARTBEAT,
+    PROTO_HELLO,
     PROTO_BOOP_REQUEST,
     PROTO_COOLDOWN_QUERY,
+    PROTO_BOOP_BATCH,
+    PROTO_CHALLENGE_SOLUTION,
+    PROTO_WELCOME,
     PROTO_BOOP_REPLY,
     PROTO_BOOP_REJECT,
     PROTO_COOLDOWN_REPLY,
+    PROTO_BATCH_REPLY,
     PROTO_INVALID,
-    PROTO_BOOP_COUNT
+    PROTO_BOOP_COUNT,
+    PROTO_CHALLENGE,
+    PROTO_CHALLENGE_ACCEPTED,
+    SSE_BOOP_COUNT_EVENT
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 import { defineConfig } from 'vite'
 import { cloudflare } from "@cloudflare/vite-plugin";
 
+// The config is evaluated once per environment, every bundle of a build must share the same ID
+process.env.BUILD_ID ||= Date.now().toString(36);
+
 // https://vite.dev/config/
 export default defineConfig({
     plugins: [cloudflare({
@@ -8,6 +11,19 @@ export default defineConfig({
             configPath: './src/firebase-token-service/wrangler.jsonc',
         }],
     })],
+    define: {
+        // Announced in the protocol handshake, so the server can tell which build each client runs
+        __BUILD_ID__: JSON.stringify(process.env.BUILD_ID),
+    },
+    build: {
+        rollupOptions: {
+            // The admin dashboard is a page of its own, so none of its code ships with the public page
+            input: {
+                main: 'index.html',
+                admin: 'admin.html',
+            },
+        },
+    },
     server: {
         watch: {
             usePolling: true,